@@ -1,5 +1,18 @@
 const axios = require('axios');
-const { botConfig } = require('./app');
+
+/**
+ * 接口请求错误
+ * status 为 HTTP 状态码（网络异常时为空），code 为 QQ 开放平台返回的错误码
+ */
+class ApiError extends Error {
+	constructor(message, { status, code, data } = {}) {
+		super(message);
+		this.name = 'ApiError';
+		this.status = status;
+		this.code = code;
+		this.data = data;
+	}
+}
 
 // 创建 Axios 实例
 const service = axios.create({
@@ -34,7 +47,11 @@ service.interceptors.response.use(
 		if (response.status >= 400) {
 			const errorMsg = `请求失败: ${response.status} ${response.statusText}`;
 			const errorData = response.data ? JSON.stringify(response.data) : '无响应数据';
-			return Promise.reject(new Error(`${errorMsg} | ${errorData}`));
+			return Promise.reject(new ApiError(`${errorMsg} | ${errorData}`, {
+				status: response.status,
+				code: response.data?.code ?? response.data?.err_code,
+				data: response.data
+			}));
 		}
 		return response.data;
 	},
@@ -47,40 +64,120 @@ service.interceptors.response.use(
 			errorMessage = '无服务响应';
 		}
 		console.error('Response Error:', errorMessage, error);
-		return Promise.reject(new Error(`${errorMessage} | ${error.message}`));
+		return Promise.reject(new ApiError(`${errorMessage} | ${error.message}`, {
+			status: error.response?.status,
+			code: error.response?.data?.code ?? error.code,
+			data: error.response?.data
+		}));
 	}
 );
 
+// OpenAPI 地址
+const API_BASE = {
+	production: 'https://api.sgroup.qq.com',
+	sandbox: 'https://sandbox.api.sgroup.qq.com'
+};
+
+const TOKEN_URL = 'https://bots.qq.com/app/getAppAccessToken';
+
+/**
+ * 获取账号使用的 OpenAPI 地址
+ * apiBase 可指定任意地址（如本地模拟服务），否则按 sandBox 选择沙箱或正式环境
+ * @param {Object} config 机器人配置（sandBox、apiBase）
+ * @returns {string} 不带末尾斜杠的地址
+ */
+const getBaseUrl = (config = {}) => (config.apiBase || (config.sandBox ? API_BASE.sandbox : API_BASE.production)).replace(/\/+$/, '');
+
+/**
+ * 获取访问令牌接口地址
+ * 指定 apiBase 而未指定 tokenUrl 时，使用 apiBase 下的同名路径
+ * @param {Object} config 机器人配置（apiBase、tokenUrl）
+ * @returns {string} 接口地址
+ */
+const getTokenUrl = (config = {}) => config.tokenUrl || (config.apiBase ? `${getBaseUrl(config)}/app/getAppAccessToken` : TOKEN_URL);
+
+// 表示访问令牌失效的错误码
+const TOKEN_EXPIRED_CODES = new Set([11244]);
+
+/**
+ * 判断是否为访问令牌失效
+ * @param {Error} err 请求错误
+ * @returns {boolean}
+ */
+const isTokenExpired = (err) => err instanceof ApiError && (err.status === 401 || TOKEN_EXPIRED_CODES.has(err.code));
+
 /**
  * 基础请求方法（内部使用）
+ * auth 一般为令牌管理器 ({ getToken, invalidate, baseUrl })，令牌失效会自动刷新并重发一次请求；
+ * 访问令牌字符串不含接口地址，无法区分正式与沙箱环境，只能用于指定了 baseUrl 的请求（如 getWsLink）
+ * 相对路径按 baseUrl、令牌管理器的 baseUrl、正式环境地址的顺序拼接
  * @param {Object} config 请求配置
  * @returns {Promise} 请求结果
+ * @throws {Error} 使用访问令牌字符串但未指定 baseUrl
  */
-const makeRequest = (config) => {
-	// 添加默认JSON头
+const makeRequest = async ({ auth, baseUrl, ...config }) => {
+	if (typeof auth === 'string' && !baseUrl) {
+		throw new Error('访问令牌字符串无法确定接口地址（正式或沙箱环境），请传入令牌管理器，如 ctx.token()');
+	}
+	config.baseURL = baseUrl || auth?.baseUrl || API_BASE.production;
+
+	// 添加默认JSON头（表单数据由 axios 自动设置）
 	if (!config.headers) config.headers = {};
-	if (!config.headers['Content-Type']) {
+	if (!config.headers['Content-Type'] && !(config.data instanceof FormData)) {
 		config.headers['Content-Type'] = 'application/json';
 	}
-	return service(config);
+
+	if (!auth) return service(config);
+
+	const send = (token) => service({
+		...config,
+		headers: { ...config.headers, Authorization: `QQBot ${token}` }
+	});
+
+	if (typeof auth === 'string') return send(auth);
+
+	const token = await auth.getToken();
+	try {
+		return await send(token);
+	} catch (err) {
+		if (!isTokenExpired(err)) throw err;
+
+		auth.invalidate(token);
+		return send(await auth.getToken());
+	}
 };
 
+// 富媒体文件类型
+const FILE_TYPES = {
+	image: 1,
+	video: 2,
+	audio: 3, // 语音，仅支持 silk 格式
+	file: 4
+};
+
+module.exports.ApiError = ApiError;
+module.exports.FILE_TYPES = FILE_TYPES;
+module.exports.isTokenExpired = isTokenExpired;
+module.exports.API_BASE = API_BASE;
+module.exports.getBaseUrl = getBaseUrl;
+
 /**
  * 获取 accessToken
+ * @param {Object} config 机器人配置（appId、secret）
  * @returns {Promise} 包含accessToken的Promise
  */
-module.exports.getAccessToken = () => makeRequest({
-	url: 'https://bots.qq.com/app/getAppAccessToken',
+module.exports.getAccessToken = (config) => makeRequest({
+	url: getTokenUrl(config),
 	method: 'POST',
 	data: {
-		appId: botConfig.appId,
-		clientSecret: botConfig.secret
+		appId: config.appId,
+		clientSecret: config.secret
 	}
 });
 
 /**
  * 上传群聊图片
- * @param {string} accessToken 访问令牌
+ * @param {Object} accessToken 令牌管理器（见 token.js）
  * @param {string} imgUrl 图片URL
  * @param {string} groupId 群组ID
  * @returns {Promise} 上传结果
@@ -89,11 +186,9 @@ module.exports.uploadImage = (accessToken, imgUrl, groupId) => {
 	if (!groupId) throw new Error('缺少必要的groupId参数');
 
 	return makeRequest({
-		url: `https://api.sgroup.qq.com/v2/groups/${groupId}/files`,
+		url: `/v2/groups/${groupId}/files`,
 		method: 'POST',
-		headers: {
-			Authorization: `QQBot ${accessToken}`
-		},
+		auth: accessToken,
 		data: {
 			file_type: 1,
 			url: imgUrl,
@@ -104,21 +199,35 @@ module.exports.uploadImage = (accessToken, imgUrl, groupId) => {
 
 /**
  * 获取WebSocket链接
- * @param {string} accessToken 访问令牌
+ * @param {string|Object} accessToken 访问令牌或令牌管理器
+ * @param {Object} config 机器人配置（sandBox、apiBase）
  * @returns {Promise} 包含WS链接的Promise
  */
-module.exports.getWsLink = (accessToken) => makeRequest({
-	url: `https://${botConfig.sandBox ? 'sandbox.' : ''}api.sgroup.qq.com/gateway`,
+module.exports.getWsLink = (accessToken, config) => makeRequest({
+	url: '/gateway',
+	baseUrl: getBaseUrl(config),
 	method: 'GET',
-	headers: {
-		Authorization: `QQBot ${accessToken}`
-	},
+	auth: accessToken,
+	params: { language: "zh" }
+});
+
+/**
+ * 获取带分片信息的WebSocket链接
+ * @param {string|Object} accessToken 访问令牌或令牌管理器
+ * @param {Object} config 机器人配置（sandBox、apiBase）
+ * @returns {Promise} 包含 url、建议分片数 shards 及 session_start_limit 的Promise
+ */
+module.exports.getWsLinkBot = (accessToken, config) => makeRequest({
+	url: '/gateway/bot',
+	baseUrl: getBaseUrl(config),
+	method: 'GET',
+	auth: accessToken,
 	params: { language: "zh" }
 });
 
 /**
  * 发送群聊消息
- * @param {string} accessToken 访问令牌
+ * @param {Object} accessToken 令牌管理器（见 token.js）
  * @param {string} content 消息内容
  * @param {string} messageId 消息ID
  * @param {string} groupId 群组ID
@@ -128,11 +237,9 @@ module.exports.botSendMessage = (accessToken, content, messageId, groupId) => {
 	if (!groupId) throw new Error('缺少必要的groupId参数');
 
 	return makeRequest({
-		url: `https://api.sgroup.qq.com/v2/groups/${groupId}/messages`,
+		url: `/v2/groups/${groupId}/messages`,
 		method: 'POST',
-		headers: {
-			Authorization: `QQBot ${accessToken}`
-		},
+		auth: accessToken,
 		data: {
 			content,
 			msg_type: 0,
@@ -143,7 +250,7 @@ module.exports.botSendMessage = (accessToken, content, messageId, groupId) => {
 
 /**
  * 发送带图片的群聊消息
- * @param {string} accessToken 访问令牌
+ * @param {Object} accessToken 令牌管理器（见 token.js）
  * @param {string} content 消息内容
  * @param {Object|null} imgFileinfo 图片信息
  * @param {string} messageId 消息ID
@@ -158,18 +265,16 @@ module.exports.botSendImageMessage = (accessToken, content, imgFileinfo, message
 		: { content, msg_type: 0, msg_id: messageId };
 
 	return makeRequest({
-		url: `https://api.sgroup.qq.com/v2/groups/${groupId}/messages`,
+		url: `/v2/groups/${groupId}/messages`,
 		method: 'POST',
-		headers: {
-			Authorization: `QQBot ${accessToken}`
-		},
+		auth: accessToken,
 		data
 	});
 };
 
 /**
  * 上传私聊图片
- * @param {string} accessToken 访问令牌
+ * @param {Object} accessToken 令牌管理器（见 token.js）
  * @param {string} imgUrl 图片URL
  * @param {string} openid 用户ID
  * @returns {Promise} 上传结果
@@ -178,11 +283,9 @@ module.exports.uploadImageForPrivate = (accessToken, imgUrl, openid) => {
 	if (!openid) throw new Error('缺少必要的openid参数');
 
 	return makeRequest({
-		url: `https://api.sgroup.qq.com/v2/users/${openid}/files`,
+		url: `/v2/users/${openid}/files`,
 		method: 'POST',
-		headers: {
-			Authorization: `QQBot ${accessToken}`
-		},
+		auth: accessToken,
 		data: {
 			file_type: 1,
 			url: imgUrl,
@@ -193,7 +296,7 @@ module.exports.uploadImageForPrivate = (accessToken, imgUrl, openid) => {
 
 /**
  * 发送私聊消息
- * @param {string} accessToken 访问令牌
+ * @param {Object} accessToken 令牌管理器（见 token.js）
  * @param {string} content 消息内容
  * @param {string} messageId 消息ID
  * @param {string} openid 用户ID
@@ -203,11 +306,9 @@ module.exports.sendPrivateMessage = (accessToken, content, messageId, openid) =>
 	if (!openid) throw new Error('缺少必要的openid参数');
 
 	return makeRequest({
-		url: `https://api.sgroup.qq.com/v2/users/${openid}/messages`,
+		url: `/v2/users/${openid}/messages`,
 		method: 'POST',
-		headers: {
-			Authorization: `QQBot ${accessToken}`
-		},
+		auth: accessToken,
 		data: {
 			content,
 			msg_type: 0,
@@ -218,7 +319,7 @@ module.exports.sendPrivateMessage = (accessToken, content, messageId, openid) =>
 
 /**
  * 发送带图片的私聊消息
- * @param {string} accessToken 访问令牌
+ * @param {Object} accessToken 令牌管理器（见 token.js）
  * @param {string} content 消息内容
  * @param {Object|null} imgFileinfo 图片信息
  * @param {string} messageId 消息ID
@@ -233,11 +334,157 @@ module.exports.sendPrivateImageMessage = (accessToken, content, imgFileinfo, mes
 		: { content, msg_type: 0, msg_id: messageId };
 
 	return makeRequest({
-		url: `https://api.sgroup.qq.com/v2/users/${openid}/messages`,
+		url: `/v2/users/${openid}/messages`,
+		method: 'POST',
+		auth: accessToken,
+		data
+	});
+};
+
+/**
+ * 发送频道消息
+ * @param {Object} accessToken 令牌管理器（见 token.js）
+ * @param {string} content 消息内容
+ * @param {string} messageId 消息ID
+ * @param {string} channelId 子频道ID
+ * @param {string} [imgUrl] 图片URL
+ * @returns {Promise} 发送结果
+ */
+module.exports.sendChannelMessage = (accessToken, content, messageId, channelId, imgUrl) => {
+	if (!channelId) throw new Error('缺少必要的channelId参数');
+
+	const data = imgUrl
+		? { content, msg_id: messageId, image: imgUrl }
+		: { content, msg_id: messageId };
+
+	return makeRequest({
+		url: `/channels/${channelId}/messages`,
 		method: 'POST',
-		headers: {
-			Authorization: `QQBot ${accessToken}`
-		},
+		auth: accessToken,
 		data
 	});
-};
\ No newline at end of file
+};
+
+/**
+ * 发送频道私信消息
+ * @param {Object} accessToken 令牌管理器（见 token.js）
+ * @param {string} content 消息内容
+ * @param {string} messageId 消息ID
+ * @param {string} guildId 私信会话的频道ID
+ * @param {string} [imgUrl] 图片URL
+ * @returns {Promise} 发送结果
+ */
+module.exports.sendDmsMessage = (accessToken, content, messageId, guildId, imgUrl) => {
+	if (!guildId) throw new Error('缺少必要的guildId参数');
+
+	const data = imgUrl
+		? { content, msg_id: messageId, image: imgUrl }
+		: { content, msg_id: messageId };
+
+	return makeRequest({
+		url: `/dms/${guildId}/messages`,
+		method: 'POST',
+		auth: accessToken,
+		data
+	});
+};
+
+/**
+ * 回应按钮回调
+ * @param {Object} accessToken 令牌管理器（见 token.js）
+ * @param {string} interactionId 回调事件ID
+ * @param {number} code 处理结果：0 成功，1 操作失败，2 操作频繁，3 重复操作，4 没有权限，5 仅管理员操作
+ * @returns {Promise} 请求结果
+ */
+module.exports.putInteraction = (accessToken, interactionId, code = 0) => {
+	if (!interactionId) throw new Error('缺少必要的interactionId参数');
+
+	return makeRequest({
+		url: `/interactions/${interactionId}`,
+		method: 'PUT',
+		auth: accessToken,
+		data: { code }
+	});
+};
+
+/**
+ * 获取消息发送路径
+ * @param {Object} target 发送目标
+ * @returns {string} 接口路径
+ */
+const getMessagePath = (target) => {
+	if (target?.groupId) return `/v2/groups/${target.groupId}/messages`;
+	if (target?.openid) return `/v2/users/${target.openid}/messages`;
+	if (target?.channelId) return `/channels/${target.channelId}/messages`;
+	if (target?.guildId) return `/dms/${target.guildId}/messages`;
+	throw new Error('缺少必要的groupId、openid、channelId或guildId参数');
+};
+
+/**
+ * 上传富媒体文件（群聊/私聊）
+ * @param {Object} accessToken 令牌管理器（见 token.js）
+ * @param {Object} target 发送目标：群聊 { groupId }，私聊 { openid }
+ * @param {number} fileType 文件类型，见 FILE_TYPES
+ * @param {string|Buffer} source 文件URL或文件数据
+ * @returns {Promise} 上传结果（file_info 等）
+ */
+module.exports.uploadMedia = (accessToken, target, fileType, source) => {
+	let path;
+	if (target?.groupId) path = `/v2/groups/${target.groupId}/files`;
+	else if (target?.openid) path = `/v2/users/${target.openid}/files`;
+	else throw new Error('缺少必要的groupId或openid参数');
+
+	const data = { file_type: fileType, srv_send_msg: false };
+	if (Buffer.isBuffer(source)) {
+		data.file_data = source.toString('base64');
+	} else {
+		data.url = source;
+	}
+
+	return makeRequest({
+		url: path,
+		method: 'POST',
+		auth: accessToken,
+		data
+	});
+};
+
+/**
+ * 发送消息（群聊/私聊/频道/频道私信通用）
+ * @param {Object} accessToken 令牌管理器（见 token.js）
+ * @param {Object} target 发送目标：群聊 { groupId }，私聊 { openid }，频道 { channelId }，频道私信 { guildId }
+ * @param {Object} data 消息体（content、msg_type、media/image 以及 msg_id 或 event_id）
+ * @returns {Promise} 发送结果
+ */
+module.exports.sendMessage = (accessToken, target, data) => makeRequest({
+	url: getMessagePath(target),
+	method: 'POST',
+	auth: accessToken,
+	data
+});
+
+/**
+ * 发送带本地图片的频道/频道私信消息（multipart 上传 file_image）
+ * @param {Object} accessToken 令牌管理器（见 token.js）
+ * @param {Object} target 发送目标：频道 { channelId }，频道私信 { guildId }
+ * @param {Object} data 消息字段（content、msg_id 等）
+ * @param {Buffer} image 图片数据
+ * @returns {Promise} 发送结果
+ */
+module.exports.sendFileImageMessage = (accessToken, target, data, image) => {
+	if (!target?.channelId && !target?.guildId) throw new Error('缺少必要的channelId或guildId参数');
+
+	const form = new FormData();
+	for (const [key, value] of Object.entries(data)) {
+		if (value === undefined || value === null) continue;
+		form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+	}
+	form.append('file_image', new Blob([image]), 'image');
+
+	return makeRequest({
+		url: getMessagePath(target),
+		method: 'POST',
+		auth: accessToken,
+		data: form
+	});
+};
@@ -1,8 +1,13 @@
+// 多账号时 botConfig 可写为数组：[{ name, appId, secret, ... }, ...]
 module.exports = {
     botConfig: {
         appId: 'xxxxx',
         secret: 'xxxxx',
         sandBox: true,
-        imageServer: 'https://market.qybot.yexin.wiki/upload-image/', // 远程接口
+        // imageServer: 'https://market.qybot.yexin.wiki/upload-image/', // 可选：图片直传失败时改用的图片上传接口
+        intents: ['GROUP_AND_C2C_EVENT'], // 订阅的事件，频道可追加 'PUBLIC_GUILD_MESSAGES'、'DIRECT_MESSAGE'
     },
+    // 可选：内置临时图片服务，启用后未配置 imageServer 的账号与 img2Url 自动使用它
+    // publicUrl 必填，需为 QQ 服务器可访问的地址，未填写时无法启动
+    // imageHost: { port: 8081, publicUrl: 'http://你的公网IP:8081', ttl: 60 },
 }
\ No newline at end of file
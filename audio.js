@@ -0,0 +1,71 @@
+const { spawn } = require('child_process');
+const axios = require('axios');
+const silk = require('silk-wasm');
+const logger = require('./logger');
+
+// 转码使用的采样率（QQ 语音支持 8000 ~ 48000）
+const SAMPLE_RATE = 24000;
+
+// ffmpeg 路径，可通过环境变量 FFMPEG_PATH 指定
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+/**
+ * 使用 ffmpeg 将任意音频解码为单声道 16 位 PCM
+ * @param {Buffer} buffer 音频数据
+ * @returns {Promise<Buffer>} PCM 数据
+ */
+function decodeToPcm(buffer) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-i', 'pipe:0',
+      '-f', 's16le',
+      '-ar', String(SAMPLE_RATE),
+      '-ac', '1',
+      'pipe:1'
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+    ffmpeg.on('error', err => reject(new Error(`无法启动 ffmpeg (${FFMPEG_PATH}): ${err.message}`)));
+    ffmpeg.on('close', code => {
+      if (code === 0) return resolve(Buffer.concat(chunks));
+      reject(new Error(`ffmpeg 转码失败 (退出码 ${code}): ${stderr.trim().split('\n').pop()}`));
+    });
+
+    // 输入可能未被完全读取（格式无法识别时 ffmpeg 会提前退出）
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.end(buffer);
+  });
+}
+
+/**
+ * 将音频转换为 QQ 语音使用的 silk 格式
+ * silk 原样返回，wav 直接编码，其他格式（mp3、ogg、m4a 等）需安装 ffmpeg
+ * @param {Buffer|string} source 音频数据或URL
+ * @returns {Promise<Buffer|string>} silk 数据；.silk 结尾的URL原样返回
+ */
+async function toSilk(source) {
+  if (typeof source === 'string') {
+    if (/\.silk(\?|$)/i.test(source)) return source;
+
+    const response = await axios.get(source, { responseType: 'arraybuffer', timeout: 60000 });
+    source = Buffer.from(response.data);
+  }
+
+  if (silk.isSilk(source)) return source;
+
+  const start = Date.now();
+  const { data, duration } = silk.isWav(source)
+    ? await silk.encode(source, 0)
+    : await silk.encode(await decodeToPcm(source), SAMPLE_RATE);
+
+  logger.debug('AUDIO', `音频转码完成，时长 ${(duration / 1000).toFixed(1)} 秒，耗时 ${Date.now() - start}ms`);
+  return Buffer.from(data);
+}
+
+module.exports = {
+  toSilk
+};
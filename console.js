@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const defaultLogger = require('./logger');
+
+// 保存图片等文件时按文件头识别扩展名
+const SIGNATURES = [
+  ['png', buf => buf.subarray(0, 4).toString('hex') === '89504e47'],
+  ['jpg', buf => buf.subarray(0, 2).toString('hex') === 'ffd8'],
+  ['gif', buf => buf.subarray(0, 3).toString() === 'GIF'],
+  ['webp', buf => buf.subarray(8, 12).toString() === 'WEBP']
+];
+
+// 无法识别文件头时按 file_type 选择扩展名
+const FILE_EXTENSIONS = { 1: 'png', 2: 'mp4', 3: 'silk', 4: 'bin' };
+
+const HELP = [
+  '直接输入消息内容发送给插件，例如: /今日人品',
+  '.user <openid>   切换发送者',
+  '.group [groupId] 切换到群聊（可同时切换群）',
+  '.private         切换到私聊',
+  '.help            显示帮助',
+  '.exit            退出'
+].join('\n');
+
+// === 控制台接入 ===
+// 与 ShardManager 提供相同的接口 (connect/close/reconnect 与 dispatch 事件)：
+// 把输入的每一行作为群聊 @消息或私聊消息分发给机器人，不连接网关。
+// 机器人的接口调用发往本地模拟服务 (MockQQServer)，由本模块把回复打印到终端，图片等文件保存到临时目录
+class ConsoleAdapter extends EventEmitter {
+  /**
+   * @param {Object} options 配置
+   * @param {MockQQServer} options.server 机器人 apiBase 指向的模拟服务
+   * @param {string} [options.groupId] 初始群，默认 'CONSOLE_GROUP'
+   * @param {string} [options.openid] 初始发送者，默认 'CONSOLE_USER'
+   * @param {boolean} [options.private] 是否以私聊开始
+   * @param {string} [options.outputDir] 文件保存目录，默认系统临时目录下的 qybot-console
+   * @param {Object} [options.input] 输入流，默认 process.stdin
+   * @param {Object} [options.output] 输出流，默认 process.stdout
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options) {
+    super();
+    this.server = options.server;
+    this.groupId = options.groupId || 'CONSOLE_GROUP';
+    this.openid = options.openid || 'CONSOLE_USER';
+    this.isPrivate = !!options.private;
+    this.outputDir = options.outputDir || path.join(os.tmpdir(), 'qybot-console');
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.logger = options.logger || defaultLogger;
+
+    this.rl = null;
+    this.counter = 0;
+    this.saved = 0;
+    this.files = new Map(); // file_info -> 上传内容
+    this.onCall = (call) => this.handleCall(call);
+  }
+
+  get prompt() {
+    return this.isPrivate ? `[私聊 ${this.openid}] > ` : `[群 ${this.groupId} / ${this.openid}] > `;
+  }
+
+  connect() {
+    if (this.rl) return Promise.resolve();
+
+    this.server.on('call', this.onCall);
+
+    this.rl = readline.createInterface({ input: this.input, output: this.output });
+    this.rl.on('line', (line) => this.handleLine(line.trim()));
+    this.rl.on('SIGINT', () => this.emit('exit'));
+    // 输入结束 (Ctrl+D)；close() 主动关闭时不触发
+    this.rl.on('close', () => {
+      if (!this.rl) return;
+      this.rl = null;
+      this.emit('exit');
+    });
+
+    this.print(`控制台模式，输入 .help 查看命令`);
+    this.rl.setPrompt(this.prompt);
+    this.rl.prompt();
+    return Promise.resolve();
+  }
+
+  // 控制台无连接，无需重连
+  reconnect() {}
+
+  close() {
+    this.server.off('call', this.onCall);
+
+    if (this.rl) {
+      const rl = this.rl;
+      this.rl = null;
+      rl.close();
+    }
+  }
+
+  print(text) {
+    this.output.write(`${text}\n`);
+  }
+
+  refreshPrompt() {
+    if (!this.rl) return;
+    this.rl.setPrompt(this.prompt);
+    this.rl.prompt(true);
+  }
+
+  handleLine(line) {
+    if (!line) return this.refreshPrompt();
+
+    if (line.startsWith('.')) {
+      const [command, arg] = line.slice(1).split(/\s+/, 2);
+      this.runCommand(command, arg);
+      return this.refreshPrompt();
+    }
+
+    this.dispatchMessage(line);
+  }
+
+  runCommand(command, arg) {
+    switch (command) {
+      case 'user':
+        if (!arg) return this.print('用法: .user <openid>');
+        this.openid = arg;
+        return;
+      case 'group':
+        if (arg) this.groupId = arg;
+        this.isPrivate = false;
+        return;
+      case 'private':
+        this.isPrivate = true;
+        return;
+      case 'help':
+        return this.print(HELP);
+      case 'exit':
+        return this.emit('exit');
+      default:
+        this.print(`未知命令: .${command}，输入 .help 查看命令`);
+    }
+  }
+
+  // 构造与 QQ 推送格式一致的消息事件
+  dispatchMessage(content) {
+    const id = `CONSOLE_MSG_${++this.counter}`;
+    const timestamp = new Date().toISOString();
+
+    const packet = this.isPrivate
+      ? {
+        t: 'C2C_MESSAGE_CREATE',
+        d: { id, content, timestamp, author: { id: this.openid, user_openid: this.openid } }
+      }
+      : {
+        t: 'GROUP_AT_MESSAGE_CREATE',
+        d: { id, content, timestamp, group_openid: this.groupId, author: { id: this.openid, member_openid: this.openid } }
+      };
+
+    this.emit('dispatch', { op: 0, id: `${packet.t}:${id}`, ...packet });
+  }
+
+  // === 输出 ===
+
+  handleCall(call) {
+    if (call.error) return;
+
+    if (call.type === 'file') {
+      this.files.set(call.response.file_info, call.body);
+      return;
+    }
+
+    if (call.type !== 'message') return;
+
+    const { body } = call;
+    const lines = [];
+
+    if (body.content) lines.push(`[回复] ${body.content}`);
+
+    if (body.markdown) {
+      lines.push(body.markdown.content
+        ? `[Markdown]\n${body.markdown.content}`
+        : `[Markdown 模板] ${body.markdown.custom_template_id} ${JSON.stringify(body.markdown.params || [])}`);
+    }
+
+    for (const row of body.keyboard?.content?.rows || []) {
+      lines.push(`[按钮] ${row.buttons.map(button => button.render_data.label).join(' | ')}`);
+    }
+
+    if (body.media) lines.push(this.describeFile(this.files.get(body.media.file_info)));
+    if (body.image) lines.push(`[图片] ${body.image}`);
+    if (body.file_image) lines.push('[图片] (频道表单上传)');
+
+    // 清除当前输入行，打印回复后恢复提示符
+    if (this.output.isTTY) {
+      readline.clearLine(this.output, 0);
+      readline.cursorTo(this.output, 0);
+    }
+    this.print(lines.join('\n') || `[回复] ${JSON.stringify(body)}`);
+    this.refreshPrompt();
+  }
+
+  // 保存上传的文件，返回描述
+  describeFile(file) {
+    if (!file) return '[媒体] (未找到上传内容)';
+    if (file.url) return `[媒体] ${file.url}`;
+
+    const buffer = Buffer.from(file.file_data, 'base64');
+    const ext = SIGNATURES.find(([, test]) => test(buffer))?.[0] || FILE_EXTENSIONS[file.file_type];
+    const filePath = path.join(this.outputDir, `${Date.now()}-${++this.saved}.${ext}`);
+
+    try {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      fs.writeFileSync(filePath, buffer);
+    } catch (err) {
+      this.logger.error('CONSOLE', `保存文件失败: ${err.message}`);
+      return '[媒体] (保存失败)';
+    }
+
+    return `[${file.file_type === 1 ? '图片' : '媒体'}] ${filePath}`;
+  }
+}
+
+module.exports = {
+  ConsoleAdapter
+};
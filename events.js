@@ -0,0 +1,240 @@
+// === 网关事件规范化 ===
+// 将 QQ 网关的 dispatch 事件 (op 0) 统一转换为插件可直接使用的事件对象
+
+// 网关 intents，配置时可使用名称或直接使用数值
+const INTENTS = {
+  GUILDS: 1 << 0,
+  GUILD_MEMBERS: 1 << 1,
+  GUILD_MESSAGES: 1 << 9,
+  GUILD_MESSAGE_REACTIONS: 1 << 10,
+  DIRECT_MESSAGE: 1 << 12,
+  OPEN_FORUMS_EVENT: 1 << 18,
+  AUDIO_OR_LIVE_CHANNEL_MEMBER: 1 << 19,
+  GROUP_AND_C2C_EVENT: 1 << 25,
+  INTERACTION: 1 << 26,
+  MESSAGE_AUDIT: 1 << 27,
+  FORUMS_EVENT: 1 << 28,
+  AUDIO_ACTION: 1 << 29,
+  PUBLIC_GUILD_MESSAGES: 1 << 30
+};
+
+// 会进入消息处理流程 (processMessages) 的事件类型
+const MESSAGE_EVENTS = new Set([
+  'GROUP_AT_MESSAGE_CREATE',
+  'C2C_MESSAGE_CREATE',
+  'AT_MESSAGE_CREATE',
+  'DIRECT_MESSAGE_CREATE'
+]);
+
+// 按钮回调的处理结果 (PUT /interactions/{id} 的 code)
+const INTERACTION_RESULT = {
+  SUCCESS: 0,
+  FAILED: 1,
+  TOO_FREQUENT: 2,
+  DUPLICATE: 3,
+  NO_PERMISSION: 4,
+  ADMIN_ONLY: 5
+};
+
+// 各消息场景的显示名称
+const SCENE_NAMES = {
+  group: '群聊',
+  c2c: '私聊',
+  channel: '频道',
+  dms: '频道私信'
+};
+
+/**
+ * 解析 intents 配置
+ * @param {number|string[]} [intents] 数值或 INTENTS 名称数组，未配置时仅订阅群聊/单聊事件
+ * @returns {number} intents 数值
+ */
+function resolveIntents(intents) {
+  if (intents === undefined || intents === null) return INTENTS.GROUP_AND_C2C_EVENT;
+  if (typeof intents === 'number') return intents;
+
+  return intents.reduce((value, name) => {
+    if (!(name in INTENTS)) throw new Error(`未知的 intent: ${name}`);
+    return value | INTENTS[name];
+  }, 0);
+}
+
+// 去除频道消息开头的 @机器人 标记
+function stripLeadingMentions(content = '') {
+  return content.replace(/^(\s*<@!?\w+>)+/, '').trim();
+}
+
+// 时间戳统一转换为毫秒 (网关会下发 ISO 字符串或秒级时间戳)
+function toMillis(timestamp) {
+  if (timestamp === undefined || timestamp === null) return Date.now();
+  if (typeof timestamp === 'number') return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  const parsed = Date.parse(timestamp);
+  if (!Number.isNaN(parsed)) return parsed;
+  const numeric = Number(timestamp);
+  return Number.isNaN(numeric) ? Date.now() : toMillis(numeric);
+}
+
+// 消息附件（用户发送的图片、语音、视频、文件）
+function normalizeAttachments(attachments = []) {
+  return attachments.map(a => ({
+    type: a.content_type,
+    filename: a.filename,
+    // 频道附件的URL不带协议头
+    url: a.url && !/^https?:\/\//.test(a.url) ? `https://${a.url}` : a.url,
+    width: a.width,
+    height: a.height,
+    size: a.size
+  }));
+}
+
+// 消息中 @ 的用户
+function normalizeMentions(mentions = []) {
+  return mentions.map(m => ({
+    id: m.id || m.member_openid || m.user_openid,
+    name: m.username || m.nickname,
+    bot: !!m.bot,
+    isSelf: !!m.is_you
+  }));
+}
+
+// 各事件类型的字段映射
+const normalizers = {
+  // 群聊 @机器人 消息
+  GROUP_AT_MESSAGE_CREATE: d => ({
+    scene: 'group',
+    groupId: d.group_openid,
+    openid: d.author?.id || d.author?.member_openid,
+    messageId: d.id,
+    content: d.content,
+    attachments: normalizeAttachments(d.attachments),
+    mentions: normalizeMentions(d.mentions)
+  }),
+
+  // 单聊消息
+  C2C_MESSAGE_CREATE: d => ({
+    scene: 'c2c',
+    openid: d.author?.id || d.author?.user_openid,
+    messageId: d.id,
+    content: d.content,
+    attachments: normalizeAttachments(d.attachments),
+    mentions: normalizeMentions(d.mentions)
+  }),
+
+  // 频道 @机器人 消息
+  AT_MESSAGE_CREATE: d => ({
+    scene: 'channel',
+    guildId: d.guild_id,
+    channelId: d.channel_id,
+    openid: d.author?.id,
+    messageId: d.id,
+    content: stripLeadingMentions(d.content),
+    attachments: normalizeAttachments(d.attachments),
+    mentions: normalizeMentions(d.mentions)
+  }),
+
+  // 频道私信消息
+  DIRECT_MESSAGE_CREATE: d => ({
+    scene: 'dms',
+    guildId: d.guild_id,
+    channelId: d.channel_id,
+    openid: d.author?.id,
+    messageId: d.id,
+    content: d.content,
+    attachments: normalizeAttachments(d.attachments),
+    mentions: normalizeMentions(d.mentions)
+  }),
+
+  // 机器人被添加到群聊 / 被移出群聊
+  GROUP_ADD_ROBOT: d => ({ scene: 'group', groupId: d.group_openid, operatorOpenid: d.op_member_openid }),
+  GROUP_DEL_ROBOT: d => ({ scene: 'group', groupId: d.group_openid, operatorOpenid: d.op_member_openid }),
+
+  // 群聊 打开 / 关闭 机器人主动消息推送
+  GROUP_MSG_RECEIVE: d => ({ scene: 'group', groupId: d.group_openid, operatorOpenid: d.op_member_openid }),
+  GROUP_MSG_REJECT: d => ({ scene: 'group', groupId: d.group_openid, operatorOpenid: d.op_member_openid }),
+
+  // 用户添加 / 删除机器人好友
+  FRIEND_ADD: d => ({ scene: 'c2c', openid: d.openid }),
+  FRIEND_DEL: d => ({ scene: 'c2c', openid: d.openid }),
+
+  // 用户 打开 / 关闭 机器人主动消息推送
+  C2C_MSG_RECEIVE: d => ({ scene: 'c2c', openid: d.openid }),
+  C2C_MSG_REJECT: d => ({ scene: 'c2c', openid: d.openid }),
+
+  // 回调按钮被点击 (chat_type: 0 频道, 1 群聊, 2 单聊)
+  INTERACTION_CREATE: d => ({
+    scene: ['channel', 'group', 'c2c'][d.chat_type] ?? null,
+    groupId: d.group_openid ?? null,
+    guildId: d.guild_id ?? null,
+    channelId: d.channel_id ?? null,
+    openid: d.group_member_openid || d.user_openid || d.data?.resolved?.user_id,
+    interactionId: d.id,
+    buttonId: d.data?.resolved?.button_id,
+    buttonData: d.data?.resolved?.button_data
+  })
+};
+
+/**
+ * 规范化网关事件
+ * @param {Object} ev 网关下发的原始数据包 ({ op, t, s, id, d })
+ * @returns {Object} 规范化后的事件对象
+ */
+function normalizeEvent(ev) {
+  const d = ev.d || {};
+  const normalize = normalizers[ev.t];
+  const fields = normalize ? normalize(d) : {};
+
+  return {
+    type: ev.t,
+    id: ev.id,
+    timestamp: toMillis(d.timestamp),
+    scene: null,
+    groupId: null,
+    guildId: null,
+    channelId: null,
+    openid: null,
+    ...fields,
+    isPrivate: fields.scene === 'c2c' || fields.scene === 'dms',
+    raw: d
+  };
+}
+
+/**
+ * 获取事件对应的回复目标
+ * @param {Object} event 规范化后的事件对象
+ * @returns {Object|null} api.js sendMessage 使用的发送目标
+ */
+function getReplyTarget(event) {
+  switch (event.scene) {
+    case 'group':
+      return { groupId: event.groupId };
+    case 'c2c':
+      return { openid: event.openid };
+    case 'channel':
+      return { channelId: event.channelId };
+    case 'dms':
+      return { guildId: event.guildId };
+    default:
+      return null;
+  }
+}
+
+/**
+ * 拆分消息中的指令与参数（第一个空白前为指令）
+ * @param {string} content 消息内容
+ * @returns {{command: string, args: string}|null} 消息为空时为 null
+ */
+function parseCommand(content = '') {
+  const match = content.replace(/^[\s]+/, '').match(/^(\S+)([\s\S]*)$/);
+  return match ? { command: match[1], args: (match[2] || '').trim() } : null;
+}
+
+module.exports = {
+  INTENTS,
+  MESSAGE_EVENTS,
+  INTERACTION_RESULT,
+  SCENE_NAMES,
+  resolveIntents,
+  normalizeEvent,
+  getReplyTarget,
+  parseCommand
+};
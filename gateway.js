@@ -0,0 +1,433 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { sleep } = require('./helpers');
+const defaultLogger = require('./logger');
+
+// 网关操作码
+const OP = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11
+};
+
+// 会话已失效，需要重新鉴权的关闭码
+const NON_RESUMABLE_CODES = new Set([4006, 4007]);
+
+// 无法通过重连恢复的关闭码（分片/版本/intents 错误，机器人下线或封禁）
+const FATAL_CODES = new Set([4010, 4011, 4012, 4013, 4014, 4914, 4915]);
+
+const MAX_RECONNECT_DELAY = 60000;
+
+// session_start_limit.max_concurrency 的计算周期
+const IDENTIFY_WINDOW = 5000;
+
+// === 鉴权限流 ===
+// 每 5 秒最多允许 maxConcurrency 个分片发送 IDENTIFY
+class IdentifyLimiter {
+  constructor(maxConcurrency = 1, interval = IDENTIFY_WINDOW) {
+    this.maxConcurrency = maxConcurrency;
+    this.interval = interval;
+    this.timestamps = [];
+    this.queue = Promise.resolve();
+  }
+
+  acquire() {
+    const next = this.queue.then(async () => {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter(t => now - t < this.interval);
+
+      if (this.timestamps.length >= this.maxConcurrency) {
+        await sleep(this.interval - (now - this.timestamps[0]));
+      }
+
+      this.timestamps.push(Date.now());
+    });
+
+    this.queue = next.catch(() => {});
+    return next;
+  }
+}
+
+// === 网关连接 ===
+// 状态流转: idle -> connecting -> identifying/resuming -> ready -> (reconnecting -> connecting ...) / closed
+class Gateway extends EventEmitter {
+  /**
+   * @param {Object} options 连接配置
+   * @param {Function} options.getUrl 获取网关地址 (async () => string)
+   * @param {Function} options.getToken 获取访问令牌 (async () => string)
+   * @param {number} options.intents 订阅的事件
+   * @param {number[]} [options.shard] 分片信息 [shardId, shardCount]
+   * @param {number} [options.maxMissedAcks] 连续多少次心跳未收到 ACK 后强制重连
+   * @param {number} [options.reconnectDelay] 首次重连延迟（毫秒），之后指数退避
+   * @param {IdentifyLimiter} [options.identifyLimiter] 多分片共享的鉴权限流器
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options) {
+    super();
+    this.getUrl = options.getUrl;
+    this.getToken = options.getToken;
+    this.intents = options.intents;
+    this.shard = options.shard || [0, 1];
+    this.maxMissedAcks = options.maxMissedAcks || 2;
+    this.reconnectDelay = options.reconnectDelay || 3000;
+    this.identifyLimiter = options.identifyLimiter || null;
+    this.logger = options.logger || defaultLogger;
+
+    this.state = 'idle';
+    this.ws = null;
+    this.session_id = null;
+    this.seq = 0;
+    this.heartbeat_interval = 0;
+    this.missedAcks = 0;
+    this.reconnectAttempts = 0;
+    this.connectAttempt = 0;
+
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+  }
+
+  get label() {
+    return this.shard[1] > 1 ? `WS#${this.shard[0]}` : 'WS';
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.logger.debug(this.label, `状态变更: ${this.state} -> ${state}`);
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  // 建立连接
+  async connect() {
+    if (this.state === 'closed') return;
+    this.setState('connecting');
+    const attempt = ++this.connectAttempt;
+
+    let url;
+    try {
+      url = await this.getUrl();
+    } catch (err) {
+      this.logger.error(this.label, `获取网关地址失败: ${err.message}`);
+      this.scheduleReconnect();
+      return;
+    }
+
+    // 等待期间可能已被关闭或发起了新的连接
+    if (this.state !== 'connecting' || attempt !== this.connectAttempt) return;
+
+    this.logger.info(this.label, `连接网关: ${url}`);
+    const ws = new WebSocket(url);
+    this.ws = ws;
+
+    ws.on('open', () => this.logger.info(this.label, '连接成功'));
+    ws.on('message', (data) => this.handlePacket(data));
+    ws.on('close', (code) => this.handleClose(ws, code));
+    ws.on('error', (err) => this.logger.error(this.label, `连接错误: ${err.message}`));
+  }
+
+  // 主动重连，resume 为 false 时丢弃会话重新鉴权
+  reconnect({ resume = true, delay = 0 } = {}) {
+    if (this.state === 'closed') return;
+    if (!resume) this.resetSession();
+
+    this.teardown();
+    this.scheduleReconnect(delay);
+  }
+
+  // 关闭连接，不再重连
+  close() {
+    this.setState('closed');
+    this.teardown();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  resetSession() {
+    this.session_id = null;
+    this.seq = 0;
+  }
+
+  // 安排重连（未指定延迟时指数退避）
+  scheduleReconnect(delay) {
+    if (this.state === 'closed') return;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+
+    if (delay === undefined) {
+      delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+      this.reconnectAttempts++;
+    }
+
+    this.setState('reconnecting');
+    this.logger.warn(this.label, `将在 ${delay}ms 后重连${this.session_id ? ' (恢复会话)' : ''}`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(err => {
+        this.logger.error(this.label, `重连失败: ${err.message}`);
+        this.scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  // 释放当前连接与心跳
+  teardown() {
+    this.stopHeartbeat();
+
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+        ws.terminate();
+      }
+    }
+  }
+
+  send(packet) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify(packet));
+    return true;
+  }
+
+  handlePacket(data) {
+    let packet;
+    try {
+      packet = JSON.parse(data.toString());
+    } catch (err) {
+      this.logger.error(this.label, '消息解析失败:', err);
+      return;
+    }
+
+    // 精简日志输出
+    this.logger.debug(this.label, `收到消息: ${JSON.stringify({ op: packet.op, t: packet.t, s: packet.s })}`);
+
+    switch (packet.op) {
+      case OP.HELLO:
+        this.heartbeat_interval = packet.d.heartbeat_interval;
+        this.logger.debug(this.label, `设置心跳周期: ${this.heartbeat_interval}ms`);
+        this.authenticate().catch(err => {
+          this.logger.error(this.label, `鉴权失败: ${err.message}`);
+          this.reconnect({ resume: false });
+        });
+        break;
+
+      case OP.DISPATCH:
+        if (packet.s) this.seq = packet.s;
+        this.handleDispatch(packet);
+        break;
+
+      case OP.HEARTBEAT_ACK:
+        this.missedAcks = 0;
+        this.logger.debug('HEARTBEAT', '收到心跳确认');
+        break;
+
+      case OP.HEARTBEAT:
+        // 服务端要求立即发送心跳
+        this.sendHeartbeat();
+        break;
+
+      case OP.RECONNECT:
+        this.logger.info(this.label, '收到重连指令');
+        this.reconnect({ resume: true });
+        break;
+
+      case OP.INVALID_SESSION:
+        // d 为 true 时会话仍可恢复，否则需要重新鉴权
+        this.logger.warn(this.label, `会话无效${packet.d ? '，尝试恢复' : '，重新鉴权'}`);
+        this.reconnect({ resume: !!packet.d, delay: 1000 + Math.floor(Math.random() * 4000) });
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  handleDispatch(packet) {
+    if (packet.t === 'READY') {
+      this.session_id = packet.d.session_id;
+      this.logger.info(this.label, `获取Session ID: ${this.session_id}`);
+      this.onSessionReady();
+    } else if (packet.t === 'RESUMED') {
+      this.logger.info(this.label, '会话恢复成功');
+      this.onSessionReady();
+    }
+
+    this.emit('dispatch', packet);
+  }
+
+  onSessionReady() {
+    this.reconnectAttempts = 0;
+    this.setState('ready');
+    this.startHeartbeat();
+  }
+
+  // 发送鉴权或恢复会话
+  async authenticate() {
+    const token = `QQBot ${await this.getToken()}`;
+
+    if (this.session_id) {
+      this.setState('resuming');
+      this.logger.debug(this.label, '发送恢复连接请求', {
+        session_id: this.session_id,
+        seq: this.seq
+      });
+      this.send({
+        op: OP.RESUME,
+        d: { token, session_id: this.session_id, seq: this.seq }
+      });
+    } else {
+      this.setState('identifying');
+      if (this.identifyLimiter) await this.identifyLimiter.acquire();
+      this.logger.debug('AUTH', `发送鉴权请求 (shard: ${this.shard.join('/')})`);
+      this.send({
+        op: OP.IDENTIFY,
+        d: { token, intents: this.intents, shard: this.shard, properties: {} }
+      });
+    }
+  }
+
+  handleClose(ws, code) {
+    if (ws !== this.ws) return;
+    this.ws = null;
+    this.stopHeartbeat();
+
+    if (this.state === 'closed') return;
+
+    if (FATAL_CODES.has(code)) {
+      this.logger.error(this.label, `连接被关闭 (code: ${code})，不再重连`);
+      this.close();
+      this.emit('fatal', code);
+      return;
+    }
+
+    if (NON_RESUMABLE_CODES.has(code)) this.resetSession();
+
+    this.logger.warn(this.label, `连接关闭 (code: ${code})，尝试重连...`);
+    this.scheduleReconnect();
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.missedAcks = 0;
+    this.sendHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      // 连续多次未收到 ACK，判定为僵尸连接
+      if (this.missedAcks >= this.maxMissedAcks) {
+        this.logger.warn('HEARTBEAT', `连续 ${this.missedAcks} 次心跳未确认，强制重连`);
+        this.reconnect({ resume: true });
+        return;
+      }
+      this.sendHeartbeat();
+    }, this.heartbeat_interval);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  sendHeartbeat() {
+    if (this.send({ op: OP.HEARTBEAT, d: this.seq || null })) {
+      this.missedAcks++;
+      this.logger.debug('HEARTBEAT', `发送心跳 (seq: ${this.seq})`);
+    }
+  }
+}
+
+// === 分片管理 ===
+// 为每个分片维护独立的网关连接，对外统一转发 dispatch 事件
+class ShardManager extends EventEmitter {
+  /**
+   * @param {Object} options 连接配置
+   * @param {Function} options.getGatewayInfo 获取 /gateway/bot 信息 (async () => { url, shards, session_start_limit })
+   * @param {Function} options.getToken 获取访问令牌 (async () => string)
+   * @param {number} options.intents 订阅的事件
+   * @param {number|string} [options.shards] 分片数，'auto' 或不填时使用 QQ 推荐值
+   * @param {number} [options.maxMissedAcks] 连续多少次心跳未收到 ACK 后强制重连
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options) {
+    super();
+    this.options = options;
+    this.getGatewayInfo = options.getGatewayInfo;
+    this.logger = options.logger || defaultLogger;
+    this.gateways = [];
+    this.closed = false;
+  }
+
+  async connect() {
+    const info = await this.getGatewayInfo();
+    if (this.closed) return;
+
+    const configured = this.options.shards;
+    const shardCount = !configured || configured === 'auto' ? (info.shards || 1) : configured;
+    const limit = info.session_start_limit || {};
+
+    this.logger.info('SHARD', `分片数: ${shardCount}，剩余可创建会话: ${limit.remaining ?? '未知'}/${limit.total ?? '未知'}`);
+
+    // 可创建会话数不足时等待额度重置
+    if (limit.remaining !== undefined && limit.remaining < shardCount && limit.reset_after) {
+      this.logger.warn('SHARD', `会话创建额度不足，${Math.ceil(limit.reset_after / 1000)} 秒后开始连接`);
+      await sleep(limit.reset_after);
+      if (this.closed) return;
+    }
+
+    const identifyLimiter = new IdentifyLimiter(limit.max_concurrency || 1);
+    this.gateways.forEach(gateway => gateway.close());
+
+    this.gateways = Array.from({ length: shardCount }, (_, shardId) => {
+      let initialUrl = info.url;
+
+      const gateway = new Gateway({
+        // 首次连接复用已获取的地址，重连时重新获取
+        getUrl: async () => {
+          if (initialUrl) {
+            const url = initialUrl;
+            initialUrl = null;
+            return url;
+          }
+          return (await this.getGatewayInfo()).url;
+        },
+        getToken: this.options.getToken,
+        intents: this.options.intents,
+        shard: [shardId, shardCount],
+        maxMissedAcks: this.options.maxMissedAcks,
+        identifyLimiter,
+        logger: this.logger
+      });
+
+      gateway.on('dispatch', (packet) => this.emit('dispatch', packet, shardId));
+      gateway.on('fatal', (code) => this.emit('fatal', code, shardId));
+      return gateway;
+    });
+
+    await Promise.all(this.gateways.map(gateway => gateway.connect()));
+  }
+
+  reconnect(options) {
+    this.gateways.forEach(gateway => gateway.reconnect(options));
+  }
+
+  close() {
+    this.closed = true;
+    this.gateways.forEach(gateway => gateway.close());
+  }
+}
+
+module.exports = {
+  OP,
+  Gateway,
+  IdentifyLimiter,
+  ShardManager
+};
@@ -0,0 +1,42 @@
+// === 通用工具 ===
+// 网关、发送队列、令牌管理与内置 HTTP 服务（回调、图片服务、模拟服务）共用
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 读取 HTTP 请求体
+ * @param {http.IncomingMessage} req 请求
+ * @param {number} limit 最大字节数，超出时中断请求
+ * @param {string} [message] 超出时的错误信息
+ * @returns {Promise<Buffer>} 请求体
+ */
+function readBody(req, limit, message = '请求体过大') {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new Error(message));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// 返回 JSON 响应
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = {
+  sleep,
+  readBody,
+  sendJson
+};
@@ -2,6 +2,11 @@ const https = require('https');
 const http = require('http');
 const url = require('url');
 const { botConfig } = require('./app')
+const { getActiveHost } = require('./imageHost')
+
+// 默认上传地址：第一个账号配置的图片服务器，未配置时使用已启动的内置图片服务
+const configuredServiceUrl = (Array.isArray(botConfig) ? botConfig[0] : botConfig).imageServer;
+const defaultServiceUrl = () => configuredServiceUrl || getActiveHost()?.uploadUrl;
 
 // 检测图片MIME类型（支持JPEG/PNG）
 function detectMimeType(buffer) {
@@ -14,8 +19,12 @@ function detectMimeType(buffer) {
     throw new Error('Unsupported image format. Only JPEG/PNG allowed');
 }
 
-module.exports = function img2Url(buffer, serviceUrl = botConfig.imageServer) {
+module.exports = function img2Url(buffer, serviceUrl = defaultServiceUrl()) {
     return new Promise((resolve, reject) => {
+        if (!serviceUrl) {
+            return reject(new Error('未配置 imageServer，也未启用内置图片服务 imageHost'));
+        }
+
         // 检测图片类型
         let mimeType;
         try {
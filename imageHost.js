@@ -0,0 +1,169 @@
+const http = require('http');
+const crypto = require('crypto');
+const defaultLogger = require('./logger');
+const { readBody, sendJson } = require('./helpers');
+
+// 允许上传的图片类型
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+// 图片链接有效期范围（秒），与 imageServer.md 的建议一致
+const MIN_TTL = 30;
+const MAX_TTL = 120;
+
+// 当前运行中的服务，img2Url 未指定上传地址时使用
+let activeHost = null;
+
+// === 内置临时图片服务 ===
+// 实现 imageServer.md 的上传规范：POST 图片二进制数据，返回 { url, expires_at }
+// 上传地址包含密钥；图片链接会发给 QQ 服务器，只包含每张图片随机生成的 id，不含上传密钥。图片保存在内存中，到期后自动清理
+class ImageHost {
+  /**
+   * @param {Object} options 服务配置
+   * @param {number} [options.port] 监听端口，默认 8081，0 为随机端口
+   * @param {string} [options.host] 监听地址
+   * @param {string} options.publicUrl QQ 服务器访问本服务使用的地址，如 http://1.2.3.4:8081（必填，本机地址 QQ 无法访问）
+   * @param {number} [options.ttl] 图片链接有效期（秒），30 ~ 120，默认 60
+   * @param {string} [options.secret] 上传地址的路径密钥，默认每次启动随机生成（不会出现在图片链接中）
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8081;
+    this.host = options.host;
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+    this.ttl = Math.min(MAX_TTL, Math.max(MIN_TTL, options.ttl || 60)) * 1000;
+    this.secret = options.secret || crypto.randomBytes(16).toString('hex');
+    this.logger = options.logger || defaultLogger;
+    this.images = new Map();
+    this.server = null;
+    this.cleanupTimer = null;
+  }
+
+  // 供 img2Url 使用的上传地址（本机访问）
+  get uploadUrl() {
+    const host = !this.host || this.host === '0.0.0.0' || this.host === '::' ? '127.0.0.1' : this.host;
+    return `http://${host}:${this.port}/${this.secret}/upload-image/`;
+  }
+
+  start() {
+    if (this.server) return Promise.resolve();
+    if (!this.publicUrl) {
+      return Promise.reject(new Error('imageHost 缺少 publicUrl：请填写 QQ 服务器可访问的地址，如 http://你的公网IP:8081'));
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('error', (err) => this.logger.error('IMGHOST', `服务错误: ${err.message}`));
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.ttl);
+    this.cleanupTimer.unref();
+
+    return new Promise((resolve, reject) => {
+      const onListenError = (err) => {
+        this.stop();
+        reject(err);
+      };
+
+      this.server.once('error', onListenError);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', onListenError);
+        this.port = this.server.address().port;
+        activeHost = this;
+        this.logger.info('IMGHOST', `临时图片服务已启动: ${this.publicUrl}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (activeHost === this) activeHost = null;
+
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+
+    this.images.clear();
+  }
+
+  // 清理过期图片
+  cleanup() {
+    const now = Date.now();
+    for (const [id, image] of this.images) {
+      if (image.expiresAt <= now) this.images.delete(id);
+    }
+  }
+
+  /**
+   * 保存图片
+   * @param {Buffer} buffer 图片数据
+   * @param {string} mimeType 图片类型
+   * @returns {{url: string, expires_at: number}} 图片链接及过期时间（秒级时间戳）
+   */
+  store(buffer, mimeType) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.ttl;
+
+    this.images.set(id, { buffer, mimeType, expiresAt });
+
+    return {
+      url: `${this.publicUrl}/images/${id}.${MIME_EXTENSIONS[mimeType]}`,
+      expires_at: Math.floor(expiresAt / 1000)
+    };
+  }
+
+  async handleRequest(req, res) {
+    const segments = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean);
+
+    // 上传需带密钥，密钥不匹配时不暴露任何信息
+    if (req.method === 'POST' && segments.length === 2 && segments[0] === this.secret && segments[1] === 'upload-image') {
+      const mimeType = (req.headers['content-type'] || '').split(';')[0].trim();
+      if (!MIME_EXTENSIONS[mimeType]) {
+        return sendJson(res, 415, { error: '不支持的图片类型' });
+      }
+
+      let buffer;
+      try {
+        buffer = await readBody(req, MAX_IMAGE_SIZE, '图片过大');
+      } catch (err) {
+        return sendJson(res, 413, { error: err.message });
+      }
+
+      if (buffer.length === 0) return sendJson(res, 400, { error: '图片数据为空' });
+
+      this.logger.debug('IMGHOST', `收到图片 ${(buffer.length / 1024).toFixed(1)}KB`);
+      return sendJson(res, 200, this.store(buffer, mimeType));
+    }
+
+    if (req.method === 'GET' && segments.length === 2 && segments[0] === 'images') {
+      const image = this.images.get(segments[1].replace(/\.\w+$/, ''));
+      if (!image || image.expiresAt <= Date.now()) {
+        return sendJson(res, 404, { error: 'not found' });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': image.mimeType,
+        'Content-Length': image.buffer.length,
+        'Cache-Control': 'no-store'
+      });
+      return res.end(image.buffer);
+    }
+
+    sendJson(res, 404, { error: 'not found' });
+  }
+}
+
+module.exports = {
+  ImageHost,
+  getActiveHost: () => activeHost
+};
@@ -0,0 +1,48 @@
+// 日志工具函数
+const logger = {
+  colors: {
+    reset: '\x1b[0m',
+    error: '\x1b[31m', // 红色
+    warn: '\x1b[33m',  // 黄色
+    info: '\x1b[36m',  // 青色
+    debug: '\x1b[32m', // 绿色
+    plugin: '\x1b[35m' // 紫色
+  },
+
+  log(level, module, message, ...args) {
+    const now = new Date();
+    const timestamp = [
+      now.getFullYear(),
+      (now.getMonth() + 1).toString().padStart(2, '0'),
+      now.getDate().toString().padStart(2, '0')
+    ].join('-') + ' ' + [
+      now.getHours().toString().padStart(2, '0'),
+      now.getMinutes().toString().padStart(2, '0'),
+      now.getSeconds().toString().padStart(2, '0')
+    ].join(':');
+    const color = this.colors[level] || this.colors.info;
+    console.log(`${color}[${timestamp}] [${level.toUpperCase()}] [${module}]${this.colors.reset} ${message}`, ...args);
+  },
+
+  error(module, message, ...args) {
+    this.log('error', module, message, ...args);
+  },
+
+  warn(module, message, ...args) {
+    this.log('warn', module, message, ...args);
+  },
+
+  info(module, message, ...args) {
+    this.log('info', module, message, ...args);
+  },
+
+  debug(module, message, ...args) {
+    this.log('debug', module, message, ...args);
+  },
+
+  plugin(module, message, ...args) {
+    this.log('plugin', module, message, ...args);
+  }
+};
+
+module.exports = logger;
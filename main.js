@@ -1,730 +1,649 @@
-const WebSocket = require('ws');
 const path = require('path');
-const fs = require('fs');
-const { getAccessToken, getWsLink, uploadImage, botSendMessage, botSendImageMessage, uploadImageForPrivate, sendPrivateMessage, sendPrivateImageMessage } = require('./api');
+const { FILE_TYPES, getWsLinkBot, uploadMedia, sendMessage, sendFileImageMessage, putInteraction } = require('./api');
+const { TokenManager } = require('./token');
+const { toSilk } = require('./audio');
 const img2Url = require('./image');
-const AdmZip = require('adm-zip');
+const { MESSAGE_EVENTS, INTERACTION_RESULT, SCENE_NAMES, resolveIntents, normalizeEvent, getReplyTarget, parseCommand } = require('./events');
+const { ShardManager } = require('./gateway');
+const { WebhookServer } = require('./webhook');
+const { ConsoleAdapter } = require('./console');
+const { MockQQServer } = require('./mockServer');
+const { Outbox, isRetryable } = require('./outbox');
+const { DEFAULT_LIMITS, ActiveQuota } = require('./quota');
+const { DEFAULT_PROGRESS, createPluginContext, PluginManager } = require('./pluginManager');
+const { MediaCache } = require('./mediaCache');
+const { MessageBuilder } = require('./message');
+const { buildMarkdown, buildKeyboard } = require('./markdown');
+const { ImageHost, getActiveHost } = require('./imageHost');
+const { botConfig, imageHost: imageHostConfig } = require('./app');
+const logger = require('./logger');
 const { md2html, html2img, md2img } = require('./toImg');
 
-// 日志工具函数
-const logger = {
-  colors: {
-    reset: '\x1b[0m',
-    error: '\x1b[31m', // 红色
-    warn: '\x1b[33m',  // 黄色
-    info: '\x1b[36m',  // 青色
-    debug: '\x1b[32m', // 绿色
-    plugin: '\x1b[35m' // 紫色
+// 插件共享的上下文：主动消息与令牌按账号查找
+const pluginContext = createPluginContext({
+  utils: {
+    md2html,
+    html2img,
+    md2img
   },
+  // 主动推送消息，见 sendActive
+  send: (target, message) => sendActive(target, message),
+  token: (bot) => findBot(bot).tokens
+});
 
-  log(level, module, message, ...args) {
-    const now = new Date();
-    const timestamp = [
-      now.getFullYear(),
-      (now.getMonth() + 1).toString().padStart(2, '0'),
-      now.getDate().toString().padStart(2, '0')
-    ].join('-') + ' ' + [
-      now.getHours().toString().padStart(2, '0'),
-      now.getMinutes().toString().padStart(2, '0'),
-      now.getSeconds().toString().padStart(2, '0')
-    ].join(':');
-    const color = this.colors[level] || this.colors.info;
-    console.log(`${color}[${timestamp}] [${level.toUpperCase()}] [${module}]${this.colors.reset} ${message}`, ...args);
-  },
+// 运行数据（主动消息额度、定时任务记录、插件存储）的默认目录
+const DATA_DIR = path.join(__dirname, 'data');
 
-  error(module, message, ...args) {
-    this.log('error', module, message, ...args);
-  },
+// 主动消息额度记录（所有账号共用，按 appId 区分），start 时创建
+let activeQuota = null;
 
-  warn(module, message, ...args) {
-    this.log('warn', module, message, ...args);
-  },
-
-  info(module, message, ...args) {
-    this.log('info', module, message, ...args);
-  },
+// 频道/频道私信接口不使用 msg_type、msg_seq 字段
+const isGuildTarget = (target) => !!(target.channelId || target.guildId);
 
-  debug(module, message, ...args) {
-    this.log('debug', module, message, ...args);
-  },
+// 视频、语音、文件消息（图片单独处理）
+const MEDIA_TYPES = [
+  { key: 'video', kind: '视频', fileType: FILE_TYPES.video },
+  { key: 'audio', kind: '语音', fileType: FILE_TYPES.audio },
+  { key: 'file', kind: '文件', fileType: FILE_TYPES.file }
+];
 
-  plugin(module, message, ...args) {
-    this.log('plugin', module, message, ...args);
-  }
+// 被动回复窗口：群聊、频道 5 分钟，单聊 60 分钟
+const REPLY_WINDOWS = {
+  group: 5 * 60 * 1000,
+  c2c: 60 * 60 * 1000,
+  channel: 5 * 60 * 1000,
+  dms: 5 * 60 * 1000
 };
 
-// 创建插件上下文对象
-const pluginContext = {
-  utils: {
-    md2html,
-    html2img,
-    md2img
-  },
-  logger
-};
-
-// === 插件管理器 ===
-class PluginManager {
-  constructor(ctx) {
-    this.plugins = new Map();
-    this.defaultPlugin = null;
-    this.pluginDir = path.join(__dirname, 'plugins');
-    this.context = ctx;
-    this.watcher = null;
-    this.reloadDebounce = null;
-    this.isLoading = false;
-  }
+// 被动回复序号的保留时间（覆盖最长的回复窗口）
+const REPLY_SEQ_TTL = REPLY_WINDOWS.c2c;
 
-  // 解压插件ZIP包
-  async extractPlugins() {
-    try {
-      if (!fs.existsSync(this.pluginDir)) {
-        logger.info('PLUGIN', `创建插件目录: ${this.pluginDir}`);
-        fs.mkdirSync(this.pluginDir, { recursive: true });
-        return;
-      }
+// 机器人没有 Markdown 权限时接口返回的错误码（不允许发送原生 Markdown），可通过 config.markdownDeniedCodes 补充
+const MARKDOWN_DENIED_CODES = [304050];
 
-      const files = fs.readdirSync(this.pluginDir);
-      const zipFiles = files.filter(file => file.endsWith('.zip'));
-
-      for (const zipFile of zipFiles) {
-        const zipPath = path.join(this.pluginDir, zipFile);
-        logger.plugin('PLUGIN', `发现ZIP插件包: ${zipFile}`);
-
-        try {
-          const zip = new AdmZip(zipPath);
-          const entries = zip.getEntries();
-          const topLevelDirs = new Set();
-
-          entries.forEach(entry => {
-            if (entry.isDirectory) return;
-            const parts = entry.entryName.split('/');
-            if (parts.length > 1) topLevelDirs.add(parts[0]);
-          });
-
-          if (topLevelDirs.size !== 1) {
-            logger.error('PLUGIN', `ZIP包结构无效: ${zipFile} - 应包含单个顶级目录`);
-            continue;
-          }
-
-          const pluginDirName = [...topLevelDirs][0];
-          const targetDir = path.join(this.pluginDir, pluginDirName);
-
-          // 解压前备份已存在的插件
-          if (fs.existsSync(targetDir)) {
-            const backupDir = `${targetDir}_${Date.now()}`;
-            logger.plugin('PLUGIN', `插件目录已存在, 备份到: ${backupDir}`);
-            fs.renameSync(targetDir, backupDir);
-          }
-
-          // 解压ZIP文件
-          logger.plugin('PLUGIN', `解压到: ${targetDir}`);
-          zip.extractAllTo(this.pluginDir, true);
-
-          // 删除ZIP文件
-          fs.unlinkSync(zipPath);
-          logger.plugin('PLUGIN', `已删除ZIP文件: ${zipFile}`);
-
-        } catch (e) {
-          logger.error('PLUGIN', `解压失败: ${zipFile}`, e);
-        }
-      }
-    } catch (error) {
-      logger.error('PLUGIN', 'ZIP扫描失败:', error);
-    }
-  }
+// === QQ 机器人主类 ===
+class QQBot {
+  /**
+   * @param {Object} config 机器人配置（app.js 中的 botConfig 或其中一项）
+   * @param {PluginManager} pluginManager 共用的插件管理器
+   */
+  constructor(config, pluginManager) {
+    this.config = config;
+    this.name = config.name || config.appId;
+    this.isShuttingDown = false;
 
-  // 加载插件
-  async loadPlugins() {
-    if (this.isLoading) {
-      logger.warn('PLUGIN', '插件加载正在进行中，跳过重复加载');
-      return;
-    }
+    // 访问令牌（提前刷新、失败重试，所有接口调用共用）
+    this.tokens = new TokenManager(config, config.token, logger);
 
-    this.isLoading = true;
-    logger.info('PLUGIN', '开始加载插件...');
+    // 插件可见的机器人信息
+    this.info = { appId: config.appId, name: this.name };
 
-    try {
-      // 解压新的ZIP插件包
-      await this.extractPlugins();
-
-      // 清除现有插件
-      await this.cleanup();
-      this.plugins.clear();
-      this.defaultPlugin = null;
-
-      // 确保插件目录存在
-      if (!fs.existsSync(this.pluginDir)) {
-        logger.warn('PLUGIN', `创建插件目录: ${this.pluginDir}`);
-        fs.mkdirSync(this.pluginDir, { recursive: true });
-        this.isLoading = false;
-        return;
-      }
+    // 消息发送队列（按目标限流、重试）
+    this.outbox = new Outbox(config.outbound, logger);
 
-      const pluginDirs = fs.readdirSync(this.pluginDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
+    // 富媒体上传缓存（file_info 仅对本账号有效）
+    this.mediaCache = new MediaCache();
 
-      let loadedCount = 0;
+    // Markdown 权限：被拒绝后记录错误码，之后的 Markdown 消息直接渲染为图片
+    this.markdownDeniedCodes = new Set([...MARKDOWN_DENIED_CODES, ...(config.markdownDeniedCodes || [])]);
+    this.markdownDenied = null;
 
-      for (const dir of pluginDirs) {
-        const manifestPath = path.join(this.pluginDir, dir, 'manifest.json');
+    // 处理中提示
+    this.progress = config.progress === false ? null : { ...DEFAULT_PROGRESS, ...config.progress };
 
-        if (!fs.existsSync(manifestPath)) {
-          logger.warn('PLUGIN', `${dir} 缺少 manifest.json`);
-          continue;
-        }
+    // 被动回复序号 msg_id/event_id -> msg_seq
+    this.replySeq = new Map();
 
-        try {
-          // 清除require缓存
-          delete require.cache[require.resolve(manifestPath)];
+    // 处理中的消息与按钮回调
+    this.handling = new Set();
 
-          const manifest = require(manifestPath);
-          const pluginPath = path.join(this.pluginDir, dir, manifest.mainExport);
+    // 定时器
+    this.connectRetryTimer = null;
 
-          // 清除插件模块缓存
-          delete require.cache[require.resolve(pluginPath)];
+    // 事件接入：WebSocket 网关（每个分片一个连接）或 HTTP 回调，共用同一个插件管理器
+    this.transport = this.createTransport();
+    this.transport.on('dispatch', (ev) => this.dispatchEvent(ev));
 
-          const pluginModule = require(pluginPath);
-          const pluginObj = pluginModule[manifest.name];
+    // 插件系统
+    this.pluginManager = pluginManager;
+  }
 
-          if (!pluginObj || typeof pluginObj.main !== 'function') {
-            logger.warn('PLUGIN', `${manifest.name} 缺少 main 方法`);
-            continue;
-          }
+  async shutdown() {
+    if (this.isShuttingDown) return;
+    this.isShuttingDown = true;
 
-          // 注入上下文到插件对象
-          pluginObj.ctx = this.context;
+    // 清理资源
+    this.cleanupResources();
+    logger.info('BOT', `机器人 ${this.name} 已断开`);
+  }
 
-          // 注册处理类型
-          manifest.processingTypes.forEach(type => {
-            if (type === 'default') {
-              this.defaultPlugin = pluginObj;
-            } else {
-              this.plugins.set(type, pluginObj);
-            }
-          });
+  track(task) {
+    const handling = task.catch(() => {}).finally(() => this.handling.delete(handling));
+    this.handling.add(handling);
+  }
 
-          // 初始化插件
-          if (typeof pluginObj.init === 'function') {
-            await pluginObj.init();
-            logger.plugin('PLUGIN', `${manifest.name} 初始化完成`);
-          }
+  // 等待处理中的消息回复完毕、发送队列清空；等待用户回复（ctx.prompt）的处理不计入
+  async idle() {
+    const { sessions } = this.pluginManager;
+
+    while (this.handling.size > sessions.waiting) {
+      await new Promise(resolve => {
+        const done = () => {
+          sessions.off('prompt', done);
+          resolve();
+        };
+        sessions.on('prompt', done);
+        Promise.race(this.handling).then(done);
+      });
+    }
+    await this.outbox.idle();
+  }
 
-          loadedCount++;
-        } catch (e) {
-          logger.error('PLUGIN', `加载失败: ${dir}`, e);
-        }
-      }
+  // 建立连接（获取令牌失败时延迟重试）
+  async connect() {
+    if (this.isShuttingDown) return;
 
-      logger.info('PLUGIN', `插件加载完成，共加载 ${loadedCount}/${pluginDirs.length} 个插件`);
+    try {
+      await this.tokens.start();
+      await this.transport.connect();
+      logger.info('BOT', `机器人 ${this.name} 初始化完成`);
     } catch (error) {
-      logger.error('PLUGIN', '插件加载失败:', error);
-    } finally {
-      this.isLoading = false;
+      logger.error('BOT', `机器人 ${this.name} 连接失败: ${error.message}，5秒后重试`);
+      this.connectRetryTimer = setTimeout(() => this.connect(), 5000);
     }
   }
 
-  // 启动目录监听
-  startWatching() {
-    if (this.watcher) return;
+  // 清理资源
+  cleanupResources() {
+    this.tokens.stop();
 
-    logger.info('PLUGIN', `启动插件目录监听: ${this.pluginDir}`);
+    if (this.connectRetryTimer) {
+      clearTimeout(this.connectRetryTimer);
+      this.connectRetryTimer = null;
+    }
 
-    this.watcher = fs.watch(this.pluginDir, (eventType, filename) => {
-      if (!filename) return;
+    this.transport.close();
+  }
 
-      const filePath = path.join(this.pluginDir, filename);
+  // 根据 config.transport 创建事件接入方式
+  createTransport() {
+    const { config } = this;
 
-      try {
-        // 检查文件类型
-        if (fs.existsSync(filePath)) {
-          const stat = fs.statSync(filePath);
-          const isDirectory = stat.isDirectory();
-          const isZip = filename.endsWith('.zip');
-
-          if (isDirectory || isZip) {
-            logger.info('PLUGIN', `检测到插件变更: ${eventType} ${filename}`);
-
-            // 防抖处理
-            if (this.reloadDebounce) clearTimeout(this.reloadDebounce);
-
-            this.reloadDebounce = setTimeout(async () => {
-              logger.info('PLUGIN', '检测到插件变更，重新加载插件...');
-              await this.reloadPlugins();
-            }, 1000);
-          }
-        }
-      } catch (err) {
-        logger.error('PLUGIN', `文件检测错误: ${filename}`, err);
-      }
-    });
+    if (config.transport === 'console') {
+      return new ConsoleAdapter({ ...config.console, logger });
+    }
+
+    if (config.transport === 'webhook') {
+      return new WebhookServer({
+        secret: config.secret,
+        ...config.webhook,
+        logger
+      });
+    }
 
-    this.watcher.on('error', (err) => {
-      logger.error('PLUGIN', '目录监听错误:', err);
+    return new ShardManager({
+      getGatewayInfo: () => getWsLinkBot(this.tokens, config),
+      getToken: () => this.tokens.getToken(),
+      intents: resolveIntents(config.intents),
+      shards: config.shards,
+      maxMissedAcks: config.maxMissedHeartbeats,
+      logger
     });
   }
 
-  // 重新加载插件
-  async reloadPlugins() {
-    try {
-      logger.info('PLUGIN', '开始重新加载插件...');
-      await this.loadPlugins();
-      logger.info('PLUGIN', '插件重载完成');
-    } catch (e) {
-      logger.error('PLUGIN', '插件重载失败:', e);
+  // 事件分发
+  async dispatchEvent(ev) {
+    const event = { ...normalizeEvent(ev), bot: this.info };
+    event.reply = (message) => this.sendReply(event, message);
+    logger.debug('EVENT', `[${this.name}] 收到事件: ${event.type}`);
+
+    if (MESSAGE_EVENTS.has(event.type) && (event.content || event.attachments?.length)) {
+      this.track(this.processMessages(event));
     }
-  }
 
-  async processMessage(msgType, msgContent, senderOpenid, isPrivate) {
-    // 优先使用匹配的插件
-    const plugin = this.plugins.get(msgType);
-    if (plugin) {
-      try {
-        return await plugin.main(msgType, msgContent, senderOpenid, isPrivate);
-      } catch (e) {
-        logger.error('PLUGIN', `${msgType}处理失败:`, e);
-        return "插件处理出错";
-      }
+    if (event.type === 'INTERACTION_CREATE') {
+      this.track(this.handleInteraction(event));
+      return;
     }
 
-    // 其次使用默认插件
-    if (this.defaultPlugin) {
-      try {
-        return await this.defaultPlugin.main(msgType, msgContent, senderOpenid, isPrivate);
-      } catch (e) {
-        logger.error('PLUGIN', '默认插件处理失败:', e);
+    try {
+      const results = await this.pluginManager.emitEvent(event);
+      for (const retMsg of results) {
+        await this.sendReply(event, retMsg);
       }
+    } catch (error) {
+      logger.error('EVENT', `事件处理失败 [${event.type}]: ${error.message}`);
     }
-
-    return null;
   }
 
-  async cleanup() {
-    logger.info('PLUGIN', '清理插件资源...');
-
-    const cleanupPlugin = async (plugin, name = '') => {
-      if (typeof plugin.cleanup === 'function') {
-        try {
-          await plugin.cleanup();
-          logger.debug('PLUGIN', `${name} 清理完成`);
-        } catch (e) {
-          logger.error('PLUGIN', `${name} 清理失败:`, e);
-        }
+  // 按钮回调：交给按钮所属插件处理，并回应处理结果
+  async handleInteraction(event) {
+    let acked = false;
+    event.ack = async (code = INTERACTION_RESULT.SUCCESS) => {
+      if (acked) return;
+      acked = true;
+
+      try {
+        await putInteraction(this.tokens, event.interactionId, code);
+      } catch (error) {
+        logger.error('EVENT', `回调回应失败: ${error.message}`);
       }
     };
 
-    // 清理普通插件
-    for (const [type, plugin] of this.plugins) {
-      await cleanupPlugin(plugin, type);
+    let handled = null;
+    try {
+      handled = await this.pluginManager.handleInteraction(event);
+      if (!handled) logger.warn('EVENT', `[${this.name}] 按钮回调无对应插件: ${event.buttonData}`);
+    } catch (error) {
+      logger.error('PLUGIN', '按钮回调处理失败:', error);
     }
 
-    // 清理默认插件
-    if (this.defaultPlugin) {
-      await cleanupPlugin(this.defaultPlugin, '默认插件');
-    }
-  }
+    // 插件未主动回应时，按处理结果自动回应
+    await event.ack(handled ? INTERACTION_RESULT.SUCCESS : INTERACTION_RESULT.FAILED);
+    if (!handled?.retMsg) return;
 
-  stopWatching() {
-    if (this.watcher) {
-      this.watcher.close();
-      this.watcher = null;
-      logger.info('PLUGIN', '停止插件目录监听');
-    }
+    await this.sendReply(event, handled.retMsg);
   }
-}
 
-// === QQ 机器人主类 ===
-class QQBot {
-  constructor() {
-    this.heartbeat_interval = 0;
-    this.expires_in = 0;
-    this.session_id = null;
-    this.seq = 0;
-    this.restoreLink = false;
-    this.accessToken = null;
-    this.isConnecting = false;
-    this.isShuttingDown = false;
+  async processMessages(event) {
+    try {
+      const { content: msg = '', openid: sender_openid, isPrivate } = event;
+      logger.info('MSG', `[${this.name}] 收到 [${SCENE_NAMES[event.scene]}] 消息 [${sender_openid}]: ${msg.substring(0, 50)}${msg.length > 50 ? '...' : ''}`);
 
-    // 定时器
-    this.heartbeatTimer = null;
-    this.tokenRefreshTimer = null;
-    this.connectionResetTimer = null;
+      const parsed = parseCommand(msg);
+      if (!parsed && !event.attachments?.length) {
+        logger.warn('MSG', '无法解析消息格式');
+        return;
+      }
 
-    // WebSocket
-    this.ws = null;
+      // 仅含附件（如图片）的消息没有指令
+      const msgType = parsed ? parsed.command : '';
+      const msgContent = parsed ? parsed.args : '';
 
-    // 插件系统
-    this.pluginManager = new PluginManager(pluginContext);
+      // 通过插件处理消息
+      const retMsg = await this.pluginManager.processMessage(
+        msgType,
+        msgContent,
+        sender_openid,
+        isPrivate,
+        { bot: this.info, event, reply: event.reply, progress: this.progress }
+      );
 
-    // 崩溃恢复
-    process.on('uncaughtException', (err) => {
-      logger.error('CRASH', `未捕获异常: ${err.stack}`);
-      this.safeResetConnection();
-    });
+      // 无响应内容（插件可能已通过 reply 发送）
+      if (!retMsg) return;
 
-    process.on('SIGINT', () => this.shutdown());
-    process.on('SIGTERM', () => this.shutdown());
+      await this.sendReply(event, retMsg);
+    } catch (error) {
+      logger.error('MSG', `消息处理失败: ${error.message}`);
+    }
   }
 
-  async shutdown() {
-    if (this.isShuttingDown) return;
-    this.isShuttingDown = true;
+  // 发送回复（消息使用 msg_id 被动回复，其他事件使用 event_id）；数组按顺序逐条发送，返回各条的投递结果
+  async sendReply(event, retMsg) {
+    if (Array.isArray(retMsg)) {
+      const results = [];
+      for (const message of retMsg) results.push(await this.sendReply(event, message));
+      return results;
+    }
 
-    logger.info('BOT', '开始关闭机器人...');
+    const target = getReplyTarget(event);
 
-    // 清理资源
-    this.cleanupResources();
+    if (!target) {
+      logger.warn('MSG', `事件 ${event.type} 不支持回复`);
+      return null;
+    }
 
-    // 清理插件
-    await this.pluginManager.cleanup();
-    this.pluginManager.stopWatching();
+    let result;
+    if (Date.now() - event.timestamp > REPLY_WINDOWS[event.scene]) {
+      // 被动回复窗口已过期，改为主动消息
+      logger.info('MSG', `[${this.name}] ${event.type} 的被动回复窗口已过期，改为主动消息发送`);
+      result = await this.sendExpiredReply(target, retMsg);
+    } else {
+      const deliver = this.buildDelivery(target, retMsg, this.nextReference(event));
+      if (!deliver) return null;
 
-    logger.info('BOT', '机器人已安全关闭');
-    process.exit(0);
+      const key = Object.entries(target)[0].join(':');
+      const label = `[${this.name}] ${SCENE_NAMES[event.scene]}${deliver.kind}回复`;
+      result = await this.outbox.enqueue(key, deliver, label);
+    }
+    if (!result) return null;
+
+    // 插件可通过 onResult 获取投递结果
+    if (typeof retMsg?.onResult === 'function') {
+      try {
+        await retMsg.onResult(result);
+      } catch (e) {
+        logger.error('MSG', '投递结果回调执行失败:', e);
+      }
+    }
+
+    return result;
   }
 
-  // 主初始化函数
-  async init() {
-    if (this.isConnecting) {
-      logger.warn('BOT', '连接已在进行中，跳过重复连接');
-      return;
+  /**
+   * 发送主动消息（不引用任何消息，占用目标当月的主动消息额度）
+   * @param {Object} target 发送目标：群聊 { groupId }，私聊 { openid }
+   * @param {string|Object|Array} message 消息内容，格式与 main 方法返回值相同，数组按顺序逐条发送
+   * @returns {Promise<Object|Object[]|null>} 投递结果，发送数组时为各条的投递结果
+   * @throws {QuotaExceededError} 目标当月额度已用尽
+   */
+  async sendActive(target, message) {
+    const { groupId, openid } = target;
+    if (!groupId && !openid) throw new Error('缺少必要的groupId或openid参数');
+
+    if (Array.isArray(message)) {
+      const results = [];
+      for (const item of message) results.push(await this.sendActive(target, item));
+      return results;
     }
 
-    this.isConnecting = true;
+    const scene = groupId ? 'group' : 'c2c';
+    const dest = groupId ? { groupId } : { openid };
+    const deliver = this.buildDelivery(dest, message, {});
+    if (!deliver) return null;
 
-    try {
-      logger.info('BOT', '开始初始化机器人...');
+    const limit = this.config.activeQuota?.[scene] ?? DEFAULT_LIMITS[scene];
+    const quotaKey = `${this.config.appId}:${scene}:${groupId || openid}`;
+    activeQuota.reserve(quotaKey, limit);
 
-      // 加载插件
-      await this.pluginManager.loadPlugins();
-      this.pluginManager.startWatching();
+    const key = Object.entries(dest)[0].join(':');
+    const label = `[${this.name}] ${SCENE_NAMES[scene]}${deliver.kind}主动消息`;
+    const result = await this.outbox.enqueue(key, deliver, label);
 
-      await this.setupConnection();
-      this.scheduleConnectionReset();
+    // 发送失败不计入额度
+    if (!result.ok) activeQuota.release(quotaKey);
 
-      logger.info('BOT', '机器人初始化完成');
-    } catch (error) {
-      logger.error('BOT', `初始化失败: ${error.message}`);
-      this.safeResetConnection(5000);
-    } finally {
-      this.isConnecting = false;
-    }
+    return result;
   }
 
-  // 建立连接
-  async setupConnection() {
-    await this.anewGetAccessToken();
-    const wsLinkData = await getWsLink(this.accessToken);
-    logger.info('WS', `获取WS链接: ${wsLinkData.url}`);
-
-    // 关闭现有连接
-    if (this.ws) {
-      this.ws.removeAllListeners();
-      if (this.ws.readyState === WebSocket.OPEN) {
-        this.ws.close();
+  // 以主动消息发送已过期的回复（群聊/单聊占用主动消息额度）
+  async sendExpiredReply(target, retMsg) {
+    if (!isGuildTarget(target)) {
+      try {
+        return await this.sendActive(target, retMsg);
+      } catch (error) {
+        logger.error('MSG', `[${this.name}] 回复发送失败: ${error.message}`);
+        return { ok: false, error, attempts: 0 };
       }
-      this.ws = null;
     }
 
-    this.ws = new WebSocket(wsLinkData.url);
-    this.ws.on('open', () => this.handleOpen());
-    this.ws.on('message', (data) => this.handleMessage(data));
-    this.ws.on('close', () => this.handleClose());
-    this.ws.on('error', (err) => this.handleError(err));
+    const deliver = this.buildDelivery(target, retMsg, {});
+    if (!deliver) return null;
+
+    const label = `[${this.name}] ${SCENE_NAMES[target.channelId ? 'channel' : 'dms']}${deliver.kind}主动消息`;
+    return this.outbox.enqueue(Object.entries(target)[0].join(':'), deliver, label);
   }
 
-  // 连接打开处理
-  handleOpen() {
-    logger.info('WS', '连接成功');
+  // 被动回复引用：同一 msg_id/event_id 的多条回复使用递增的 msg_seq（重试时沿用同一序号）
+  nextReference(event) {
+    const reference = event.messageId ? { msg_id: event.messageId } : { event_id: event.id };
+    const key = event.messageId || event.id;
+    const seq = (this.replySeq.get(key) || 0) + 1;
 
-    if (this.restoreLink) {
-      logger.debug('WS', '发送恢复连接请求', {
-        session_id: this.session_id,
-        seq: this.seq + 1
-      });
+    // 被动回复窗口结束后释放
+    if (seq === 1) setTimeout(() => this.replySeq.delete(key), REPLY_SEQ_TTL).unref();
+    this.replySeq.set(key, seq);
 
-      this.ws.send(JSON.stringify({
-        op: 6,
-        d: {
-          token: `QQBot ${this.accessToken}`,
-          session_id: this.session_id,
-          seq: this.seq + 1
-        }
-      }));
+    return { ...reference, msg_seq: seq };
+  }
 
-      this.restoreLink = false;
-    } else {
-      this.sendSession(`QQBot ${this.accessToken}`);
+  /**
+   * 将插件返回内容转换为发送任务
+   * @param {Object} target 发送目标
+   * @param {string|Object} retMsg 插件返回内容
+   * @param {Object} reference 被动回复引用 { msg_id } 或 { event_id }
+   * @returns {Function|null} 发送任务，kind 属性为消息类型描述
+   */
+  buildDelivery(target, retMsg, reference) {
+    const isGuild = isGuildTarget(target);
+    const textType = isGuild ? {} : { msg_type: 0 };
+    if (isGuild) {
+      const { msg_seq, ...rest } = reference;
+      reference = rest;
     }
-  }
+    const withKind = (kind, task) => Object.assign(task, { kind });
 
-  // 消息处理
-  handleMessage(data) {
-    try {
-      const ev = JSON.parse(data.toString());
-
-      // 精简日志输出
-      const loggableEvent = {
-        op: ev.op,
-        t: ev.t,
-        s: ev.s,
-        d: ev.d ? {
-          heartbeat_interval: ev.d.heartbeat_interval,
-          session_id: ev.d.session_id,
-          content: ev.d.content ? `${ev.d.content.substring(0, 50)}...` : undefined
-        } : undefined
-      };
-
-      logger.debug('WS', `收到消息: ${JSON.stringify(loggableEvent)}`);
-
-      // 处理业务消息
-      if (ev.d?.content) {
-        this.processMessages(
-          ev.d.content,
-          ev.d.id,
-          ev.d.group_openid,
-          ev.d.author?.id
-        );
-      }
+    if (typeof retMsg === 'string' && retMsg.trim()) {
+      // 旧版本插件，发送文本
+      return withKind('文本', () => sendMessage(this.tokens, target, { content: retMsg, ...textType, ...reference }));
+    }
 
-      // 更新心跳间隔
-      if (ev.d?.heartbeat_interval) {
-        this.heartbeat_interval = ev.d.heartbeat_interval;
-        logger.debug('WS', `设置心跳周期: ${this.heartbeat_interval}ms`);
-      }
+    if (!retMsg || typeof retMsg !== 'object') return null;
 
-      // 更新序列号
-      if (ev.s) {
-        this.seq = ev.s;
-        logger.debug('WS', `更新序列号: ${this.seq}`);
-      }
+    if (retMsg instanceof MessageBuilder) retMsg = retMsg.compile(target);
 
-      // 首次连接处理
-      if (ev.t === "READY") {
-        this.session_id = ev.d.session_id;
-        logger.info('WS', `获取Session ID: ${this.session_id}`);
-        this.sendHeartbeat();
+    // 引用消息（quote 为 true 时引用触发回复的消息）
+    if (retMsg.quote) {
+      const messageId = retMsg.quote === true ? reference.msg_id : retMsg.quote;
+      if (messageId) {
+        reference = { ...reference, message_reference: { message_id: messageId, ignore_get_message_error: true } };
       }
+    }
 
-      // 重连指令
-      if (ev.op === 7 || ev.op === 9) {
-        logger.info('WS', "收到重连指令");
-        this.safeResetConnection();
-      }
-    } catch (err) {
-      logger.error('WS', '消息解析失败:', err);
+    // 新版本插件
+    if (retMsg.markdown) {
+      return withKind('Markdown', () => this.sendMarkdown(target, retMsg, reference));
     }
-  }
 
-  // 关闭连接处理
-  handleClose() {
-    logger.warn('WS', "连接关闭，尝试重连...");
-    this.safeResetConnection(3000);
-  }
+    if (retMsg.keyboard) {
+      logger.warn('MSG', '按钮需与 markdown 一同发送，已忽略');
+    }
 
-  // 错误处理
-  handleError(err) {
-    logger.error('WS', `连接错误: ${err.message}`);
-    this.safeResetConnection(5000);
-  }
+    if (retMsg.image) {
+      return withKind('图片', () => this.sendImage(target, retMsg.text || '', retMsg.image, reference));
+    }
 
-  // 安全重置连接
-  safeResetConnection(delay = 0) {
-    if (this.isShuttingDown) return;
+    const media = MEDIA_TYPES.find(({ key }) => retMsg[key]);
+    if (media) {
+      return withKind(media.kind, () => this.sendMedia(target, retMsg.text || '', media, retMsg[media.key], reference));
+    }
 
-    logger.warn('BOT', `安全重置连接${delay ? ` (${delay}ms后)` : ''}`);
-    this.cleanupResources();
+    if (retMsg.text) {
+      return withKind('文本', () => sendMessage(this.tokens, target, { content: retMsg.text, ...textType, ...reference }));
+    }
 
-    setTimeout(() => {
-      this.restoreLink = true;
-      this.init().catch(err => {
-        logger.error('BOT', `重连失败: ${err.message}`);
-        this.safeResetConnection(10000);
-      });
-    }, delay);
+    return null;
   }
 
-  // 清理资源
-  cleanupResources() {
-    // 清除定时器
-    if (this.heartbeatTimer) {
-      clearInterval(this.heartbeatTimer);
-      this.heartbeatTimer = null;
-    }
-
-    if (this.tokenRefreshTimer) {
-      clearTimeout(this.tokenRefreshTimer);
-      this.tokenRefreshTimer = null;
+  // 发送图片消息（image 为图片URL或Buffer，Buffer 直接上传）
+  async sendImage(target, content, image, reference) {
+    if (isGuildTarget(target)) {
+      // 频道消息使用图片URL，或以表单上传图片
+      return this.withImageServer(image, source => typeof source === 'string'
+        ? sendMessage(this.tokens, target, { content, image: source, ...reference })
+        : sendFileImageMessage(this.tokens, target, { content, ...reference }, source));
     }
 
-    if (this.connectionResetTimer) {
-      clearTimeout(this.connectionResetTimer);
-      this.connectionResetTimer = null;
-    }
+    const fileinfo = await this.mediaCache.wrap(MediaCache.key(target, FILE_TYPES.image, image), () =>
+      this.withImageServer(image, source => uploadMedia(this.tokens, target, FILE_TYPES.image, source)));
+    logger.debug('IMG', '图片fileinfo获取成功');
 
-    // 关闭WebSocket
-    if (this.ws) {
-      this.ws.removeAllListeners();
-      if (this.ws.readyState === WebSocket.OPEN) {
-        this.ws.close();
-      }
-      this.ws = null;
-    }
+    return sendMessage(this.tokens, target, { content, msg_type: 7, media: fileinfo, ...reference });
   }
 
-  // 定期重置连接（1小时）
-  scheduleConnectionReset() {
-    const RESET_INTERVAL = 60 * 60 * 1000; // 1小时
+  // 上传图片 Buffer，直传被拒绝时改用图片服务器返回的URL
+  async withImageServer(image, send) {
+    // 未配置 imageServer 时使用内置的临时图片服务（如已启用）
+    const imageServer = this.config.imageServer || getActiveHost()?.uploadUrl;
+    if (typeof image === 'string' || !imageServer) return send(image);
 
-    this.connectionResetTimer = setTimeout(() => {
-      logger.info('BOT', "定期连接重置");
-      this.safeResetConnection();
-    }, RESET_INTERVAL);
+    try {
+      return await send(image);
+    } catch (error) {
+      if (isRetryable(error)) throw error;
+      logger.warn('IMG', `图片直传失败 (${error.code ?? error.status ?? error.message})，改用 imageServer 上传`);
+    }
 
-    logger.debug('BOT', `已安排 ${RESET_INTERVAL / 60000} 分钟后重置连接`);
+    const url = await img2Url(image, imageServer);
+    logger.debug('IMG', '图片URL获取成功');
+    return send(url);
   }
 
-  // 发送心跳
-  sendHeartbeat() {
-    // 立即发送首次心跳
-    this.ws.send(JSON.stringify({ op: 1, d: null }));
-    logger.debug('HEARTBEAT', "发送首次心跳");
+  // 发送视频/语音/文件消息（source 为URL或Buffer，语音自动转为 silk）
+  async sendMedia(target, content, { key, kind, fileType }, source, reference) {
+    if (isGuildTarget(target)) throw new Error(`频道暂不支持发送${kind}消息`);
 
-    // 设置周期性心跳
-    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    const fileinfo = await this.mediaCache.wrap(MediaCache.key(target, fileType, source), async () =>
+      uploadMedia(this.tokens, target, fileType, key === 'audio' ? await toSilk(source) : source));
+    logger.debug('MEDIA', `${kind}fileinfo获取成功`);
 
-    this.heartbeatTimer = setInterval(() => {
-      this.ws.send(JSON.stringify({ op: 1, d: this.seq }));
-      logger.debug('HEARTBEAT', `发送心跳 (seq: ${this.seq})`);
-    }, this.heartbeat_interval);
+    return sendMessage(this.tokens, target, { content, msg_type: 7, media: fileinfo, ...reference });
   }
 
-  // 发送鉴权session
-  sendSession(token) {
-    const msg = {
-      op: 2,
-      d: {
-        token: token,
-        intents: 0 | 1 << 25,
-        shard: [0, 1],
-        properties: {}
+  // 发送 Markdown 消息，无 Markdown 权限（或 config.markdown 为 false）时渲染为图片发送
+  async sendMarkdown(target, retMsg, reference) {
+    if (this.config.markdown !== false && this.markdownDenied === null) {
+      const data = { markdown: buildMarkdown(retMsg.markdown), ...reference };
+      if (retMsg.keyboard) data.keyboard = buildKeyboard(retMsg.keyboard);
+      if (!isGuildTarget(target)) data.msg_type = 2;
+
+      try {
+        return await sendMessage(this.tokens, target, data);
+      } catch (error) {
+        // 只有无权限的错误码改为图片发送，其余错误（网络异常、限频、参数错误等）照常交由发送队列处理
+        if (!this.markdownDeniedCodes.has(error.code)) throw error;
+        this.markdownDenied = error.code;
+        logger.warn('MSG', `[${this.name}] 没有 Markdown 权限 (${error.code})，之后的 Markdown 消息改为图片发送`);
       }
-    };
+    }
+
+    const source = typeof retMsg.markdown === 'string' ? retMsg.markdown : retMsg.markdown.content;
+    if (!source) {
+      // 模板消息无法渲染，退回文本
+      if (!retMsg.text) throw new Error('模板 Markdown 消息无法转为图片发送');
 
-    logger.debug('AUTH', "发送鉴权请求");
-    this.ws.send(JSON.stringify(msg));
+      const textType = isGuildTarget(target) ? {} : { msg_type: 0 };
+      return sendMessage(this.tokens, target, { content: retMsg.text, ...textType, ...reference });
+    }
+
+    return this.sendImage(target, retMsg.text || '', await md2img(source), reference);
   }
+}
 
-  // 获取新访问令牌
-  async anewGetAccessToken() {
-    try {
-      logger.info('TOKEN', "获取访问令牌...");
-      const accessTokenData = await getAccessToken();
+// === 启动 ===
+// botConfig 可以是单个配置或配置数组，每个账号独立连接，共用插件目录、浏览器池与日志
+let pluginManager = null;
+let imageHost = null;
+let bots = [];
+let isShuttingDown = false;
 
-      this.accessToken = accessTokenData.access_token;
-      this.expires_in = accessTokenData.expires_in * 1000;
+// 插件主动推送：target.bot 可指定账号（appId 或 name），默认使用第一个账号
+async function sendActive(target = {}, message) {
+  return findBot(target.bot).sendActive(target, message);
+}
 
-      logger.info('TOKEN', `获取Token成功`);
-      logger.debug('TOKEN', `有效期: ${Math.floor(this.expires_in / 1000)}秒`);
+// 按 appId 或 name 查找账号，未指定时使用第一个账号
+function findBot(id) {
+  const bot = id ? bots.find(b => b.config.appId === id || b.name === id) : bots[0];
+  if (!bot) throw new Error(`未找到机器人: ${id}`);
+  return bot;
+}
 
-      // 设置定时刷新
-      if (this.tokenRefreshTimer) clearTimeout(this.tokenRefreshTimer);
+/**
+ * 加载插件并连接所有账号
+ * @param {Object} [options] 覆盖 app.js 中的配置（如接入模拟服务时）
+ * @param {Object|Object[]} [options.botConfig] 机器人配置
+ * @param {Object|null} [options.imageHost] 内置图片服务配置
+ * @param {string} [options.dataDir] 运行数据目录，默认为项目下的 data
+ * @returns {Promise<QQBot[]>} 已连接的账号
+ */
+async function start(options = {}) {
+  const configs = options.botConfig || botConfig;
+  const hostConfig = 'imageHost' in options ? options.imageHost : imageHostConfig;
+  const dataDir = options.dataDir || DATA_DIR;
 
-      const refreshTime = this.expires_in - 60000; // 提前1分钟刷新
-      this.tokenRefreshTimer = setTimeout(() => {
-        logger.info('TOKEN', "刷新访问令牌");
-        this.anewGetAccessToken();
-      }, refreshTime);
+  activeQuota = new ActiveQuota(path.join(dataDir, 'active-quota.json'));
+  pluginManager = new PluginManager(pluginContext, { dataDir });
 
-      logger.debug('TOKEN', `安排 ${Math.floor(refreshTime / 1000)} 秒后刷新令牌`);
-    } catch (error) {
-      logger.error('TOKEN', `获取Token失败: ${error.message}`);
-      throw error;
-    }
-  }
+  bots = (Array.isArray(configs) ? configs : [configs]).map(config => new QQBot(config, pluginManager));
+  imageHost = hostConfig ? new ImageHost({ ...hostConfig, logger }) : null;
+  isShuttingDown = false;
 
-  async processMessages(msg, id, group_id, sender_openid) {
-    try {
-      let isPrivate = !group_id;
-      logger.info('MSG', `收到 [${isPrivate ? '私聊' : '群聊'}] 消息 [${sender_openid}]: ${msg.substring(0, 50)}${msg.length > 50 ? '...' : ''}`);
+  logger.info('BOT', `开始初始化机器人 (共 ${bots.length} 个账号)...`);
 
-      const trimmed = msg.replace(/^[\s]+/, '');
-      const match = trimmed.match(/^(\S+)([\s\S]*)$/);
-      if (!match) {
-        logger.warn('MSG', '无法解析消息格式');
-        return;
-      }
+  // 加载插件
+  await pluginManager.loadPlugins();
+  pluginManager.startWatching();
 
-      const msgType = match[1];
-      const msgContent = (match[2] || '').trim();
+  if (imageHost) await imageHost.start();
 
-      // 通过插件处理消息
-      const retMsg = await this.pluginManager.processMessage(
-        msgType,
-        msgContent,
-        sender_openid,
-        isPrivate
-      );
+  await Promise.all(bots.map(bot => bot.connect()));
+  return bots;
+}
 
-      // 无响应内容
-      if (!retMsg) return;
+// 断开所有账号并卸载插件（不退出进程）
+async function stop() {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
 
-      // 消息发送
-      if (typeof retMsg === 'string' && retMsg.trim()) {
-        // 旧版本插件，发送文本
-        if (isPrivate) {
-          sendPrivateMessage(this.accessToken, retMsg, id, sender_openid);
-          logger.info('MSG', '发送私聊文本回复');
-        } else {
-          botSendMessage(this.accessToken, retMsg, id, group_id);
-          logger.info('MSG', '发送群聊文本回复');
-        }
-      } else if (typeof retMsg === 'object') {
-        // 新版本插件
-        if (retMsg.image) {
-          let url;
-
-          if (typeof retMsg.image === 'string') {
-            url = retMsg.image;
-          } else {
-            url = await img2Url(retMsg.image);
-          }
-
-          logger.debug('IMG', '图片URL获取成功');
-
-          if (isPrivate) {
-            // 私聊图片处理
-            const fileinfo = await uploadImageForPrivate(this.accessToken, url, sender_openid);
-            logger.debug('IMG', '私聊图片fileinfo获取成功');
-            sendPrivateImageMessage(this.accessToken, retMsg.text || '', fileinfo, id, sender_openid);
-            logger.info('MSG', '发送私聊图片回复');
-          } else {
-            // 群聊图片处理
-            const fileinfo = await uploadImage(this.accessToken, url, group_id);
-            logger.debug('IMG', '群聊图片fileinfo获取成功');
-            botSendImageMessage(this.accessToken, retMsg.text || '', fileinfo, id, group_id);
-            logger.info('MSG', '发送群聊图片回复');
-          }
-        } else if (retMsg.text) {
-          if (isPrivate) {
-            sendPrivateMessage(this.accessToken, retMsg.text, id, sender_openid);
-            logger.info('MSG', '发送私聊文本回复');
-          } else {
-            botSendMessage(this.accessToken, retMsg.text, id, group_id);
-            logger.info('MSG', '发送群聊文本回复');
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('MSG', `消息处理失败: ${error.message}`);
-    }
-  }
+  logger.info('BOT', '开始关闭机器人...');
+
+  await Promise.all(bots.map(bot => bot.shutdown()));
+  if (imageHost) imageHost.stop();
+
+  // 清理插件
+  await pluginManager.cleanup();
+  pluginManager.stopWatching();
+
+  logger.info('BOT', '机器人已安全关闭');
 }
 
-// 启动机器人
-const bot = new QQBot();
-bot.init().catch(err => {
-  logger.error('BOT', `启动失败: ${err.message}`);
-  process.exit(1);
-});
+async function shutdown() {
+  await stop();
+  process.exit(0);
+}
+
+/**
+ * 控制台模式：在终端与插件对话，不连接 QQ
+ * 机器人的接口调用发往进程内的模拟服务，回复由 ConsoleAdapter 打印
+ */
+async function startConsole() {
+  const server = new MockQQServer({ logger });
+  await server.start();
+
+  // 沿用第一个账号中影响回复方式的配置
+  const [config] = Array.isArray(botConfig) ? botConfig : [botConfig];
+  const [bot] = await start({
+    botConfig: server.botConfig({
+      name: 'console',
+      transport: 'console',
+      console: { server },
+      progress: config.progress,
+      markdown: config.markdown
+    }),
+    imageHost: null
+  });
+
+  // 退出前等待已输入消息的回复发送完毕
+  bot.transport.once('exit', async () => {
+    await bot.idle();
+    await server.stop();
+    shutdown();
+  });
+}
+
+// 直接运行时启动；被 require 时（测试、模拟服务）由调用方控制 start/stop
+if (require.main === module) {
+  // 崩溃恢复
+  process.on('uncaughtException', (err) => {
+    logger.error('CRASH', `未捕获异常: ${err.stack}`);
+    bots.forEach(bot => bot.transport.reconnect({ resume: true, delay: 3000 }));
+  });
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  (process.argv.includes('--console') ? startConsole() : start()).catch(err => {
+    logger.error('BOT', `启动失败: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PluginManager,
+  QQBot,
+  start,
+  stop,
+  getBots: () => bots,
+  getPluginManager: () => pluginManager
+};
@@ -0,0 +1,137 @@
+// 按钮操作类型
+const ACTION_TYPES = {
+  link: 0,     // 跳转链接
+  callback: 1, // 回调，触发 INTERACTION_CREATE 事件
+  command: 2   // 指令，将 data 填入输入框
+};
+
+// 按钮操作权限
+const PERMISSION_TYPES = {
+  users: 0, // 指定用户
+  admin: 1, // 仅管理员
+  all: 2    // 所有人
+};
+
+// 回调按钮 data 中插件名与原始数据的分隔符
+const NAMESPACE_SEPARATOR = ':';
+
+// 键盘最多 5 行，每行最多 5 个按钮
+const MAX_ROWS = 5;
+const MAX_BUTTONS = 5;
+
+/**
+ * 转换 Markdown 消息内容
+ * @param {string|Object} markdown 原生 Markdown 文本，或模板 { templateId, params }
+ * @returns {Object} 接口 markdown 字段
+ */
+function buildMarkdown(markdown) {
+  if (typeof markdown === 'string') return { content: markdown };
+
+  if (markdown.templateId) {
+    return {
+      custom_template_id: markdown.templateId,
+      params: Object.entries(markdown.params || {}).map(([key, value]) => ({
+        key,
+        values: [].concat(value).map(String)
+      }))
+    };
+  }
+
+  // 已是接口格式
+  return markdown;
+}
+
+function buildPermission(permission = 'all') {
+  if (Array.isArray(permission)) {
+    return { type: PERMISSION_TYPES.users, specify_user_ids: permission };
+  }
+
+  if (!(permission in PERMISSION_TYPES) || permission === 'users') {
+    throw new Error(`无效的按钮权限: ${permission}`);
+  }
+  return { type: PERMISSION_TYPES[permission] };
+}
+
+function buildButton(button, id) {
+  const type = button.type || 'callback';
+  if (!(type in ACTION_TYPES)) throw new Error(`无效的按钮类型: ${type}`);
+
+  const data = type === 'link' ? button.url || button.data : button.data ?? button.label;
+  if (!button.label || !data) throw new Error('按钮缺少 label 或 data/url');
+
+  const action = {
+    type: ACTION_TYPES[type],
+    permission: buildPermission(button.permission),
+    data,
+    unsupport_tips: button.unsupportTips || '当前版本不支持该按钮'
+  };
+  if (button.enter) action.enter = true;
+  if (button.reply) action.reply = true;
+
+  return {
+    id: button.id || id,
+    render_data: {
+      label: button.label,
+      visited_label: button.visitedLabel || button.label,
+      style: button.style ?? 1 // 0 灰色线框，1 蓝色线框
+    },
+    action
+  };
+}
+
+/**
+ * 转换消息按钮（键盘）
+ * @param {Object|Array} keyboard 模板 { id }，或按钮行 [[{ label, type, data/url, ... }]]、{ rows }
+ * @returns {Object} 接口 keyboard 字段
+ */
+function buildKeyboard(keyboard) {
+  if (!Array.isArray(keyboard) && keyboard.id) return { id: keyboard.id };
+
+  const rows = Array.isArray(keyboard) ? keyboard : keyboard.rows;
+  if (!Array.isArray(rows) || rows.length === 0) throw new Error('键盘缺少按钮');
+  if (rows.length > MAX_ROWS) throw new Error(`键盘最多 ${MAX_ROWS} 行`);
+
+  return {
+    content: {
+      rows: rows.map((buttons, row) => {
+        if (buttons.length > MAX_BUTTONS) throw new Error(`键盘每行最多 ${MAX_BUTTONS} 个按钮`);
+        return { buttons: buttons.map((button, col) => buildButton(button, `${row}-${col}`)) };
+      })
+    }
+  };
+}
+
+/**
+ * 为回调按钮的 data 加上命名空间前缀（模板键盘无法修改，原样返回）
+ * @param {Object|Array} keyboard 插件返回的键盘
+ * @param {string} namespace 命名空间（插件名）
+ * @returns {Object|Array} 新的键盘
+ */
+function namespaceKeyboard(keyboard, namespace) {
+  const rows = Array.isArray(keyboard) ? keyboard : keyboard.rows;
+  if (!Array.isArray(rows)) return keyboard;
+
+  return rows.map(buttons => buttons.map(button => {
+    if ((button.type || 'callback') !== 'callback') return button;
+    return { ...button, data: `${namespace}${NAMESPACE_SEPARATOR}${button.data ?? button.label}` };
+  }));
+}
+
+/**
+ * 拆分回调按钮 data
+ * @param {string} [data] 按钮回调数据
+ * @returns {{namespace: string|null, data: string}} 命名空间与原始数据
+ */
+function parseButtonData(data = '') {
+  const index = data.indexOf(NAMESPACE_SEPARATOR);
+  if (index < 0) return { namespace: null, data };
+  return { namespace: data.slice(0, index), data: data.slice(index + 1) };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  buildMarkdown,
+  buildKeyboard,
+  namespaceKeyboard,
+  parseButtonData
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// 提前失效的时间，避免 file_info 在发送途中过期
+const EXPIRE_MARGIN = 60 * 1000;
+
+// === 富媒体上传缓存 ===
+// 以 目标 + 文件类型 + 内容哈希 为键缓存 QQ 返回的 file_info，在 ttl 内复用，避免重复上传
+class MediaCache {
+  /**
+   * @param {number} [max] 最多缓存条数，超出时淘汰最早使用的条目
+   */
+  constructor(max = 1000) {
+    this.max = max;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * 生成缓存键
+   * @param {Object} target 发送目标 { groupId } 或 { openid }
+   * @param {number} fileType 文件类型
+   * @param {Buffer|string} source 文件数据或URL
+   * @returns {string} 缓存键
+   */
+  static key(target, fileType, source) {
+    const hash = crypto.createHash('sha256').update(source).digest('hex');
+    return `${Object.entries(target)[0].join(':')}:${fileType}:${hash}`;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // 移到末尾，保持按使用顺序淘汰
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.fileinfo;
+  }
+
+  set(key, fileinfo) {
+    // ttl 为 0 表示长期有效
+    const ttl = Number(fileinfo?.ttl) * 1000;
+    if (!fileinfo?.file_info || Number.isNaN(ttl) || (ttl > 0 && ttl <= EXPIRE_MARGIN)) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { fileinfo, expiresAt: ttl > 0 ? Date.now() + ttl - EXPIRE_MARGIN : Infinity });
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 获取缓存的 file_info，未命中时上传并缓存（同一键的并发上传合并为一次）
+   * @param {string} key 缓存键
+   * @param {Function} upload 上传函数 (async () => file_info 响应)
+   * @returns {Promise<Object>} file_info 响应
+   */
+  async wrap(key, upload) {
+    const cached = this.get(key);
+    if (cached) {
+      logger.debug('MEDIA', '命中上传缓存，跳过上传');
+      return cached;
+    }
+
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const task = (async () => {
+      try {
+        const fileinfo = await upload();
+        this.set(key, fileinfo);
+        return fileinfo;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, task);
+    return task;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = {
+  MediaCache
+};
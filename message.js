@@ -0,0 +1,75 @@
+// === 消息构建器 ===
+// 插件通过 ctx.msg() 链式组合文本、@、图片与引用，发送时按目标场景编译为对应的消息内容
+class MessageBuilder {
+  constructor() {
+    this.parts = [];
+    this.imageSource = null;
+    this.quoteId = null;
+  }
+
+  // 追加文本
+  text(content) {
+    this.parts.push({ type: 'text', content: String(content) });
+    return this;
+  }
+
+  /**
+   * @ 指定用户
+   * @param {string} id 群聊为成员 openid，频道为用户 ID
+   */
+  mention(id) {
+    if (!id) throw new Error('缺少要 @ 的用户');
+    this.parts.push({ type: 'mention', id });
+    return this;
+  }
+
+  // @ 全体成员
+  mentionAll() {
+    this.parts.push({ type: 'mentionAll' });
+    return this;
+  }
+
+  // 附带图片（Buffer 或 URL）
+  image(source) {
+    this.imageSource = source;
+    return this;
+  }
+
+  /**
+   * 引用消息
+   * @param {string} [messageId] 被引用的消息 ID，默认引用触发本次回复的消息
+   */
+  quote(messageId) {
+    this.quoteId = messageId || true;
+    return this;
+  }
+
+  /**
+   * 编译为插件返回值格式的消息
+   * @param {Object} target 发送目标
+   * @returns {Object} { text, image, quote }
+   */
+  compile(target) {
+    const isGuild = !!(target.channelId || target.guildId);
+
+    const text = this.parts.map(part => {
+      switch (part.type) {
+        case 'mention':
+          return isGuild ? `<@${part.id}>` : `<qqbot-at-user id="${part.id}" />`;
+        case 'mentionAll':
+          return isGuild ? '@everyone' : '<qqbot-at-everyone />';
+        default:
+          return part.content;
+      }
+    }).join('');
+
+    const message = { text };
+    if (this.imageSource) message.image = this.imageSource;
+    if (this.quoteId) message.quote = this.quoteId;
+    return message;
+  }
+}
+
+module.exports = {
+  MessageBuilder
+};
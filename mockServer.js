@@ -0,0 +1,453 @@
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { OP } = require('./gateway');
+const defaultLogger = require('./logger');
+const { readBody, sendJson } = require('./helpers');
+
+const MAX_BODY_SIZE = 20 * 1024 * 1024;
+
+// 模拟的 OpenAPI 路由：[方法, 路径, 调用类型, 目标]
+const ROUTES = [
+  ['POST', /^\/v2\/groups\/([^/]+)\/messages$/, 'message', m => ({ groupId: m[1] })],
+  ['POST', /^\/v2\/users\/([^/]+)\/messages$/, 'message', m => ({ openid: m[1] })],
+  ['POST', /^\/channels\/([^/]+)\/messages$/, 'message', m => ({ channelId: m[1] })],
+  ['POST', /^\/dms\/([^/]+)\/messages$/, 'message', m => ({ guildId: m[1] })],
+  ['POST', /^\/v2\/groups\/([^/]+)\/files$/, 'file', m => ({ groupId: m[1] })],
+  ['POST', /^\/v2\/users\/([^/]+)\/files$/, 'file', m => ({ openid: m[1] })],
+  ['PUT', /^\/interactions\/([^/]+)$/, 'interaction', m => ({ interactionId: m[1] })]
+];
+
+// === 模拟 QQ 开放平台 ===
+// 在同一端口提供令牌接口、OpenAPI 与 WebSocket 网关，记录机器人发出的每次调用，
+// 并提供注入事件、等待回复的脚本接口，用于无需真实账号的端到端测试。
+// 机器人配置 apiBase 指向 server.url 即可接入（见 server.botConfig()）
+class MockQQServer extends EventEmitter {
+  /**
+   * @param {Object} [options] 服务配置
+   * @param {number} [options.port] 监听端口，默认 0（随机端口）
+   * @param {string} [options.host] 监听地址，默认 127.0.0.1
+   * @param {string} [options.appId] 接受的 AppId，默认 'mock-app'
+   * @param {string} [options.secret] 接受的 AppSecret，默认 'mock-secret'
+   * @param {number} [options.tokenTtl] 签发令牌的有效期（秒），默认 7200
+   * @param {number} [options.heartbeatInterval] 网关心跳间隔（毫秒），默认 45000
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.appId = options.appId || 'mock-app';
+    this.secret = options.secret || 'mock-secret';
+    this.tokenTtl = options.tokenTtl || 7200;
+    this.heartbeatInterval = options.heartbeatInterval || 45000;
+    this.logger = options.logger || defaultLogger;
+
+    this.server = null;
+    this.wss = null;
+    this.tokens = new Set();
+    this.sessions = new Map(); // session_id -> { ws, seq, intents, shard }
+    this.calls = [];
+    this.failures = [];
+    this.counter = 0;
+  }
+
+  // OpenAPI 地址，即机器人配置中的 apiBase
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * 生成接入本服务的机器人配置
+   * @param {Object} [overrides] 额外配置
+   * @returns {Object} botConfig
+   */
+  botConfig(overrides = {}) {
+    return {
+      appId: this.appId,
+      secret: this.secret,
+      apiBase: this.url,
+      progress: false,
+      ...overrides
+    };
+  }
+
+  start() {
+    if (this.server) return Promise.resolve();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocket.Server({ server: this.server, path: '/websocket' });
+    this.wss.on('connection', (ws) => this.handleConnection(ws));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        this.logger.info('MOCK', `模拟 QQ 开放平台已启动: ${this.url}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    for (const ws of this.wss.clients) ws.terminate();
+    this.wss.close();
+    this.sessions.clear();
+
+    const server = this.server;
+    this.server = null;
+    this.wss = null;
+
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  // 清空调用记录与预设的失败
+  reset() {
+    this.calls = [];
+    this.failures = [];
+  }
+
+  nextId(prefix) {
+    return `${prefix}_${++this.counter}`;
+  }
+
+  // === 令牌 ===
+
+  // 使已签发的令牌全部失效，之后的接口调用返回 401
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  checkAuth(header) {
+    const [scheme, token] = String(header || '').split(' ');
+    return scheme === 'QQBot' && this.tokens.has(token);
+  }
+
+  // === 网关 ===
+
+  /**
+   * 等待机器人完成鉴权
+   * @param {number} [timeout] 超时（毫秒）
+   * @returns {Promise<string>} session_id
+   */
+  ready(timeout = 5000) {
+    const session = [...this.sessions.keys()][0];
+    if (session) return Promise.resolve(session);
+    return this.waitForEvent('ready', timeout);
+  }
+
+  handleConnection(ws) {
+    this.send(ws, { op: OP.HELLO, d: { heartbeat_interval: this.heartbeatInterval } });
+
+    ws.on('message', (raw) => {
+      let packet;
+      try {
+        packet = JSON.parse(raw.toString());
+      } catch {
+        return ws.close(4001, 'invalid payload');
+      }
+
+      switch (packet.op) {
+        case OP.HEARTBEAT:
+          return this.send(ws, { op: OP.HEARTBEAT_ACK });
+        case OP.IDENTIFY:
+          return this.identify(ws, packet.d);
+        case OP.RESUME:
+          return this.resume(ws, packet.d);
+        default:
+          this.logger.debug('MOCK', `忽略网关操作码: ${packet.op}`);
+      }
+    });
+
+    ws.on('close', () => {
+      for (const session of this.sessions.values()) {
+        if (session.ws === ws) session.ws = null;
+      }
+    });
+  }
+
+  identify(ws, d = {}) {
+    if (!this.checkAuth(d.token)) return ws.close(4004, 'invalid token');
+
+    const sessionId = crypto.randomUUID();
+    const session = { ws, seq: 0, intents: d.intents, shard: d.shard };
+    this.sessions.set(sessionId, session);
+
+    this.send(ws, {
+      op: OP.DISPATCH,
+      s: ++session.seq,
+      t: 'READY',
+      d: {
+        version: 1,
+        session_id: sessionId,
+        user: { id: this.appId, username: 'mock-bot', bot: true },
+        shard: d.shard || [0, 1]
+      }
+    });
+
+    this.logger.debug('MOCK', `机器人已鉴权 (session: ${sessionId})`);
+    this.emit('ready', sessionId);
+  }
+
+  resume(ws, d = {}) {
+    const session = this.sessions.get(d.session_id);
+    if (!session || !this.checkAuth(d.token)) {
+      return this.send(ws, { op: OP.INVALID_SESSION, d: false });
+    }
+
+    session.ws = ws;
+    this.send(ws, { op: OP.DISPATCH, s: ++session.seq, t: 'RESUMED', d: '' });
+    this.emit('resumed', d.session_id);
+  }
+
+  send(ws, packet) {
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(packet));
+  }
+
+  /**
+   * 断开所有网关连接（会话保留，可用于测试恢复会话）
+   * @param {number} [code] 关闭码
+   */
+  disconnect(code = 4009) {
+    for (const session of this.sessions.values()) {
+      session.ws?.close(code);
+    }
+  }
+
+  /**
+   * 向所有会话推送事件
+   * @param {string} type 事件类型，如 GROUP_AT_MESSAGE_CREATE
+   * @param {Object} d 事件数据
+   * @returns {string} 事件 ID
+   */
+  dispatch(type, d) {
+    const id = `${type}:${this.nextId('EVENT')}`;
+
+    for (const session of this.sessions.values()) {
+      this.send(session.ws, { op: OP.DISPATCH, id, s: ++session.seq, t: type, d });
+    }
+    return id;
+  }
+
+  // === 事件注入 ===
+
+  /**
+   * 模拟群聊 @机器人 消息
+   * @param {Object} message { content, groupId, openid, attachments, mentions }
+   * @returns {string} 消息 ID，可用于 waitForReply
+   */
+  groupMessage({ content = '', groupId = 'GROUP', openid = 'USER', attachments, mentions } = {}) {
+    const id = this.nextId('MSG');
+    this.dispatch('GROUP_AT_MESSAGE_CREATE', {
+      id,
+      content,
+      group_openid: groupId,
+      author: { id: openid, member_openid: openid },
+      timestamp: new Date().toISOString(),
+      attachments,
+      mentions
+    });
+    return id;
+  }
+
+  /**
+   * 模拟单聊消息
+   * @param {Object} message { content, openid, attachments }
+   * @returns {string} 消息 ID
+   */
+  c2cMessage({ content = '', openid = 'USER', attachments } = {}) {
+    const id = this.nextId('MSG');
+    this.dispatch('C2C_MESSAGE_CREATE', {
+      id,
+      content,
+      author: { id: openid, user_openid: openid },
+      timestamp: new Date().toISOString(),
+      attachments
+    });
+    return id;
+  }
+
+  /**
+   * 模拟群聊中点击回调按钮
+   * @param {Object} interaction { buttonData, buttonId, groupId, openid }
+   * @returns {string} 事件 ID（被动回复使用 event_id）
+   */
+  interaction({ buttonData, buttonId = '0-0', groupId = 'GROUP', openid = 'USER' } = {}) {
+    return this.dispatch('INTERACTION_CREATE', {
+      id: this.nextId('INTERACTION'),
+      type: 11,
+      chat_type: 1,
+      group_openid: groupId,
+      group_member_openid: openid,
+      timestamp: new Date().toISOString(),
+      data: { resolved: { button_id: buttonId, button_data: buttonData } }
+    });
+  }
+
+  // === 调用记录与断言 ===
+
+  /**
+   * 预设一次失败：下一次匹配的接口调用返回指定错误
+   * @param {Function} match 匹配函数 (call) => boolean
+   * @param {Object} [error] { status, code, message }
+   */
+  fail(match, error = {}) {
+    this.failures.push({ match, error: { status: 500, code: 500, message: 'mock failure', ...error } });
+  }
+
+  /**
+   * 查找被动回复某条消息（或事件）的调用
+   * @param {string} id 消息 ID 或事件 ID
+   * @returns {Object[]} 调用记录
+   */
+  replies(id) {
+    return this.calls.filter(call => call.type === 'message' && (call.body.msg_id === id || call.body.event_id === id));
+  }
+
+  /**
+   * 等待被动回复
+   * @param {string} id 消息 ID 或事件 ID
+   * @param {number} [timeout] 超时（毫秒）
+   * @returns {Promise<Object>} 第一条回复的调用记录
+   */
+  waitForReply(id, timeout) {
+    return this.waitForCall(call => call.type === 'message' && (call.body.msg_id === id || call.body.event_id === id), timeout);
+  }
+
+  /**
+   * 等待匹配的接口调用（包括已记录的调用）
+   * @param {Function} match 匹配函数 (call) => boolean
+   * @param {number} [timeout] 超时（毫秒），默认 5000
+   * @returns {Promise<Object>} 调用记录
+   */
+  waitForCall(match, timeout = 5000) {
+    const found = this.calls.find(match);
+    if (found) return Promise.resolve(found);
+
+    return new Promise((resolve, reject) => {
+      const onCall = (call) => {
+        if (!match(call)) return;
+        clearTimeout(timer);
+        this.off('call', onCall);
+        resolve(call);
+      };
+      const timer = setTimeout(() => {
+        this.off('call', onCall);
+        reject(new Error(`等待接口调用超时 (${timeout}ms)`));
+      }, timeout);
+
+      this.on('call', onCall);
+    });
+  }
+
+  waitForEvent(name, timeout) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`等待 ${name} 超时 (${timeout}ms)`)), timeout);
+      this.once(name, (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      });
+    });
+  }
+
+  // === HTTP ===
+
+  // 解析 JSON 或 multipart 请求体；表单中的文件记录为 { filename, size }
+  async parseBody(req, raw) {
+    const type = req.headers['content-type'] || '';
+    if (!raw.length) return {};
+
+    if (type.startsWith('multipart/form-data')) {
+      const form = await new Response(raw, { headers: { 'content-type': type } }).formData();
+      const body = {};
+      for (const [key, value] of form) {
+        body[key] = typeof value === 'string' ? value : { filename: value.name, size: value.size };
+      }
+      return body;
+    }
+
+    return JSON.parse(raw.toString());
+  }
+
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    let body;
+    try {
+      body = await this.parseBody(req, await readBody(req, MAX_BODY_SIZE));
+    } catch (err) {
+      return sendJson(res, 400, { code: 400, message: `invalid body: ${err.message}` });
+    }
+
+    if (req.method === 'POST' && pathname === '/app/getAppAccessToken') {
+      return this.issueToken(res, body);
+    }
+
+    if (!this.checkAuth(req.headers.authorization)) {
+      return sendJson(res, 401, { code: 11244, message: 'token not exist or expire' });
+    }
+
+    if (req.method === 'GET' && (pathname === '/gateway' || pathname === '/gateway/bot')) {
+      return sendJson(res, 200, {
+        url: `ws://${this.host}:${this.port}/websocket`,
+        shards: 1,
+        session_start_limit: { total: 1000, remaining: 1000, reset_after: 0, max_concurrency: 1 }
+      });
+    }
+
+    for (const [method, pattern, type, target] of ROUTES) {
+      const match = req.method === method && pathname.match(pattern);
+      if (match) return this.record(res, { type, method, path: pathname, target: target(match), body });
+    }
+
+    sendJson(res, 404, { code: 404, message: `mock: 未实现的接口 ${req.method} ${pathname}` });
+  }
+
+  issueToken(res, body) {
+    if (body.appId !== this.appId || body.clientSecret !== this.secret) {
+      return sendJson(res, 200, { code: 100016, message: 'invalid appid or secret' });
+    }
+
+    const token = this.nextId('TOKEN');
+    this.tokens.add(token);
+    sendJson(res, 200, { access_token: token, expires_in: String(this.tokenTtl) });
+  }
+
+  record(res, call) {
+    call.time = Date.now();
+
+    const failure = this.failures.find(f => f.match(call));
+    if (failure) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+      call.error = failure.error;
+      this.calls.push(call);
+      this.emit('call', call);
+      return sendJson(res, failure.error.status, { code: failure.error.code, message: failure.error.message });
+    }
+
+    switch (call.type) {
+      case 'message':
+        call.response = { id: this.nextId('REPLY'), timestamp: new Date().toISOString() };
+        break;
+      case 'file':
+        call.response = { file_uuid: crypto.randomUUID(), file_info: this.nextId('FILE_INFO'), ttl: 3600 };
+        break;
+      default:
+        call.response = {};
+    }
+
+    this.calls.push(call);
+    this.logger.debug('MOCK', `${call.method} ${call.path}`);
+    this.emit('call', call);
+    sendJson(res, 200, call.response);
+  }
+}
+
+module.exports = {
+  MockQQServer
+};
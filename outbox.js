@@ -0,0 +1,156 @@
+const { ApiError } = require('./api');
+const { sleep } = require('./helpers');
+const defaultLogger = require('./logger');
+
+// 需要重试的 QQ 开放平台错误码（发送频率限制）
+const RETRYABLE_CODES = new Set([22009]);
+
+const DEFAULT_OPTIONS = {
+  perTarget: { count: 5, interval: 1000 }, // 每个群/用户/子频道的发送频率
+  global: { count: 20, interval: 1000 },   // 单个机器人的总发送频率
+  retries: 3,                              // 最大重试次数
+  retryDelay: 1000                         // 首次重试延迟（毫秒），之后指数退避
+};
+
+/**
+ * 判断发送失败是否可以重试（接口网络异常、5xx、429 及限频错误码）
+ * @param {Error} err 请求错误
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  if (!(err instanceof ApiError)) return false;
+  if (RETRYABLE_CODES.has(err.code)) return true;
+  if (err.status === undefined) return true;
+  return err.status === 429 || err.status >= 500;
+}
+
+// 滑动窗口限流
+class RateWindow {
+  constructor({ count, interval }) {
+    this.count = count;
+    this.interval = interval;
+    this.timestamps = [];
+  }
+
+  // 等待直到窗口内有可用额度
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter(t => now - t < this.interval);
+
+      if (this.timestamps.length < this.count) {
+        this.timestamps.push(now);
+        return;
+      }
+
+      await sleep(this.interval - (now - this.timestamps[0]));
+    }
+  }
+
+  get idle() {
+    const now = Date.now();
+    return this.timestamps.every(t => now - t >= this.interval);
+  }
+}
+
+// === 消息发送队列 ===
+// 按目标排队发送，限流、失败重试并记录最终投递结果
+class Outbox {
+  /**
+   * @param {Object} [options] 队列配置，见 DEFAULT_OPTIONS
+   * @param {Object} [logger] 日志工具
+   */
+  constructor(options = {}, logger = defaultLogger) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      perTarget: { ...DEFAULT_OPTIONS.perTarget, ...options.perTarget },
+      global: { ...DEFAULT_OPTIONS.global, ...options.global }
+    };
+    this.logger = logger;
+    this.globalWindow = new RateWindow(this.options.global);
+    this.queues = new Map();
+    this.pending = new Set(); // 尚未得到投递结果的消息
+  }
+
+  /**
+   * 加入发送队列
+   * @param {string} key 目标标识（同一目标按顺序发送）
+   * @param {Function} task 发送任务 (async () => 接口返回结果)
+   * @param {string} [label] 日志中的描述
+   * @returns {Promise<Object>} 投递结果 { ok, id, timestamp, attempts, error }，不会 reject
+   */
+  enqueue(key, task, label = key) {
+    let queue = this.queues.get(key);
+    if (!queue) {
+      queue = { items: [], running: false, window: new RateWindow(this.options.perTarget) };
+      this.queues.set(key, queue);
+    }
+
+    const result = new Promise(resolve => {
+      queue.items.push({ task, label, resolve });
+      this.drain(key, queue);
+    });
+
+    this.pending.add(result);
+    result.then(() => this.pending.delete(result));
+    return result;
+  }
+
+  // 等待队列中（包括等待期间加入）的消息全部得到投递结果
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.all(this.pending);
+    }
+  }
+
+  async drain(key, queue) {
+    if (queue.running) return;
+    queue.running = true;
+
+    while (queue.items.length > 0) {
+      const item = queue.items.shift();
+      item.resolve(await this.deliver(queue, item));
+    }
+
+    queue.running = false;
+
+    // 队列已空，限流窗口过期后释放
+    setTimeout(() => {
+      if (!queue.running && queue.items.length === 0 && queue.window.idle && this.queues.get(key) === queue) {
+        this.queues.delete(key);
+      }
+    }, this.options.perTarget.interval).unref();
+  }
+
+  async deliver(queue, { task, label }) {
+    const { retries, retryDelay } = this.options;
+
+    for (let attempt = 1; ; attempt++) {
+      await queue.window.acquire();
+      await this.globalWindow.acquire();
+
+      try {
+        const data = await task();
+        this.logger.info('SEND', `${label} 发送成功${data?.id ? ` (id: ${data.id})` : ''}`);
+        return { ok: true, id: data?.id, timestamp: data?.timestamp, attempts: attempt, data };
+      } catch (error) {
+        if (attempt <= retries && isRetryable(error)) {
+          const delay = retryDelay * 2 ** (attempt - 1);
+          this.logger.warn('SEND', `${label} 发送失败 (${error.status ?? error.code ?? '网络异常'})，${delay}ms 后第 ${attempt} 次重试`);
+          await sleep(delay);
+          continue;
+        }
+
+        this.logger.error('SEND', `${label} 发送失败: ${error.message}`);
+        return { ok: false, error, attempts: attempt };
+      }
+    }
+  }
+}
+
+module.exports = {
+  RETRYABLE_CODES,
+  isRetryable,
+  Outbox
+};
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 读取插件目录：manifest.json 及 mainExport 指向的模块（每次都重新加载，不使用 require 缓存）
+ * @param {string} dir 插件目录
+ * @returns {{manifest: Object, plugin: Object|undefined}} plugin 为模块中以 manifest.name 导出的插件对象
+ * @throws {Error} 缺少 manifest.json 或模块加载失败
+ */
+function loadPlugin(dir) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${path.basename(dir)} 缺少 manifest.json`);
+  }
+
+  // 清除require缓存
+  delete require.cache[require.resolve(manifestPath)];
+  const manifest = require(manifestPath);
+  const pluginPath = path.join(dir, manifest.mainExport);
+
+  // 清除插件模块缓存
+  delete require.cache[require.resolve(pluginPath)];
+  const pluginModule = require(pluginPath);
+
+  return { manifest, plugin: pluginModule[manifest.name] };
+}
+
+module.exports = {
+  loadPlugin
+};
@@ -0,0 +1,488 @@
+const path = require('path');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const api = require('./api');
+const { QuotaExceededError } = require('./quota');
+const { Scheduler } = require('./scheduler');
+const { Storage } = require('./storage');
+const { SessionEndedError, SessionManager } = require('./session');
+const { loadPlugin } = require('./pluginLoader');
+const { MessageBuilder } = require('./message');
+const { namespaceKeyboard, parseButtonData } = require('./markdown');
+const logger = require('./logger');
+
+// 插件处理较慢时自动发送的提示（config.progress 为 false 时关闭）
+const DEFAULT_PROGRESS = {
+  delay: 5000,
+  text: '思考中…'
+};
+
+/**
+ * 创建插件共享的上下文，PluginManager 在此基础上为每个插件附加 schedule、storage、sessions 等
+ * @param {Object} options 由运行环境提供的部分
+ * @param {Object} options.utils 图片生成工具 { md2html, html2img, md2img }
+ * @param {Function} options.send 主动推送消息 (target, message) => Promise<Object>
+ * @param {Function} options.token 获取账号的令牌管理器 (bot?) => TokenManager
+ * @returns {Object} 上下文
+ */
+function createPluginContext({ utils, send, token }) {
+  return {
+    utils,
+    logger,
+    send,
+    // 消息构建器：ctx.msg().text('恭喜 ').mention(openid).quote()
+    msg: () => new MessageBuilder(),
+    // 直接调用 api.js：ctx.api.sendMessage(ctx.token(), target, data)
+    api,
+    // 指定账号的令牌管理器，可代替 accessToken 传入 api.js 的接口函数
+    token,
+    errors: {
+      QuotaExceededError,
+      SessionEndedError
+    }
+  };
+}
+
+// === 插件管理器 ===
+class PluginManager {
+  /**
+   * @param {Object} ctx 插件共享的上下文，见 createPluginContext
+   * @param {Object} [options] 配置
+   * @param {string} [options.pluginDir] 插件目录，默认为项目下的 plugins
+   * @param {string} [options.dataDir] 数据目录（定时任务记录、插件存储），默认为项目下的 data
+   * @param {Scheduler} [options.scheduler] 定时任务调度器
+   * @param {Function} [options.storage] 插件存储 (插件名) => Storage，默认保存到数据目录
+   */
+  constructor(ctx, options = {}) {
+    this.plugins = new Map();
+    this.loadedPlugins = new Map();
+    this.pluginInfo = new Map();
+    this.eventHandlers = new Map();
+    this.defaultPlugin = null;
+    this.pluginDir = options.pluginDir || path.join(__dirname, 'plugins');
+    this.dataDir = options.dataDir || path.join(__dirname, 'data');
+    this.context = ctx;
+    this.scheduler = options.scheduler || new Scheduler({ file: path.join(this.dataDir, 'schedule.json'), logger });
+    this.createStorage = options.storage || ((name) => new Storage(path.join(this.dataDir, 'plugins', `${name}.json`)));
+    // 多轮会话（热重载时保留）
+    this.sessions = new SessionManager(logger);
+    this.watcher = null;
+    this.reloadDebounce = null;
+    this.isLoading = false;
+  }
+
+  // 解压插件ZIP包
+  async extractPlugins() {
+    try {
+      if (!fs.existsSync(this.pluginDir)) {
+        logger.info('PLUGIN', `创建插件目录: ${this.pluginDir}`);
+        fs.mkdirSync(this.pluginDir, { recursive: true });
+        return;
+      }
+
+      const files = fs.readdirSync(this.pluginDir);
+      const zipFiles = files.filter(file => file.endsWith('.zip'));
+
+      for (const zipFile of zipFiles) {
+        const zipPath = path.join(this.pluginDir, zipFile);
+        logger.plugin('PLUGIN', `发现ZIP插件包: ${zipFile}`);
+
+        try {
+          const zip = new AdmZip(zipPath);
+          const entries = zip.getEntries();
+          const topLevelDirs = new Set();
+
+          entries.forEach(entry => {
+            if (entry.isDirectory) return;
+            const parts = entry.entryName.split('/');
+            if (parts.length > 1) topLevelDirs.add(parts[0]);
+          });
+
+          if (topLevelDirs.size !== 1) {
+            logger.error('PLUGIN', `ZIP包结构无效: ${zipFile} - 应包含单个顶级目录`);
+            continue;
+          }
+
+          const pluginDirName = [...topLevelDirs][0];
+          const targetDir = path.join(this.pluginDir, pluginDirName);
+
+          // 解压前备份已存在的插件
+          if (fs.existsSync(targetDir)) {
+            const backupDir = `${targetDir}_${Date.now()}`;
+            logger.plugin('PLUGIN', `插件目录已存在, 备份到: ${backupDir}`);
+            fs.renameSync(targetDir, backupDir);
+          }
+
+          // 解压ZIP文件
+          logger.plugin('PLUGIN', `解压到: ${targetDir}`);
+          zip.extractAllTo(this.pluginDir, true);
+
+          // 删除ZIP文件
+          fs.unlinkSync(zipPath);
+          logger.plugin('PLUGIN', `已删除ZIP文件: ${zipFile}`);
+
+        } catch (e) {
+          logger.error('PLUGIN', `解压失败: ${zipFile}`, e);
+        }
+      }
+    } catch (error) {
+      logger.error('PLUGIN', 'ZIP扫描失败:', error);
+    }
+  }
+
+  // 加载插件
+  async loadPlugins() {
+    if (this.isLoading) {
+      logger.warn('PLUGIN', '插件加载正在进行中，跳过重复加载');
+      return;
+    }
+
+    this.isLoading = true;
+    logger.info('PLUGIN', '开始加载插件...');
+
+    try {
+      // 解压新的ZIP插件包
+      await this.extractPlugins();
+
+      // 清除现有插件
+      await this.cleanup();
+      this.plugins.clear();
+      this.loadedPlugins.clear();
+      this.pluginInfo.clear();
+      this.eventHandlers.clear();
+      this.defaultPlugin = null;
+
+      // 确保插件目录存在
+      if (!fs.existsSync(this.pluginDir)) {
+        logger.warn('PLUGIN', `创建插件目录: ${this.pluginDir}`);
+        fs.mkdirSync(this.pluginDir, { recursive: true });
+        this.isLoading = false;
+        return;
+      }
+
+      const pluginDirs = fs.readdirSync(this.pluginDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name);
+
+      let loadedCount = 0;
+
+      for (const dir of pluginDirs) {
+        if (!fs.existsSync(path.join(this.pluginDir, dir, 'manifest.json'))) {
+          logger.warn('PLUGIN', `${dir} 缺少 manifest.json`);
+          continue;
+        }
+
+        try {
+          await this.addPlugin(path.join(this.pluginDir, dir));
+          loadedCount++;
+        } catch (e) {
+          logger.error('PLUGIN', `加载失败: ${dir}`, e);
+        }
+      }
+
+      // 会话交给重载后的同名插件，已移除插件的会话随之结束
+      this.sessions.retain(name => this.loadedPlugins.has(name));
+
+      logger.info('PLUGIN', `插件加载完成，共加载 ${loadedCount}/${pluginDirs.length} 个插件`);
+    } catch (error) {
+      logger.error('PLUGIN', '插件加载失败:', error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * 加载单个插件目录：注入上下文、注册处理类型与事件订阅并执行 init
+   * @param {string} dir 插件目录
+   * @returns {Promise<Object>} 插件对象
+   * @throws {Error} 缺少 manifest.json、main 方法或 init 失败
+   */
+  async addPlugin(dir) {
+    const { manifest, plugin: pluginObj } = loadPlugin(dir);
+
+    if (!pluginObj || typeof pluginObj.main !== 'function') {
+      throw new Error(`${manifest.name} 缺少 main 方法`);
+    }
+
+    // 注入上下文到插件对象
+    pluginObj.ctx = this.createContext(manifest.name);
+
+    // 注册处理类型
+    (manifest.processingTypes || []).forEach(type => {
+      if (type === 'default') {
+        this.defaultPlugin = pluginObj;
+      } else {
+        this.plugins.set(type, pluginObj);
+      }
+    });
+
+    // 注册事件订阅
+    if (Array.isArray(manifest.events) && manifest.events.length > 0) {
+      if (typeof pluginObj.onEvent === 'function') {
+        manifest.events.forEach(type => {
+          if (!this.eventHandlers.has(type)) this.eventHandlers.set(type, []);
+          this.eventHandlers.get(type).push({ name: manifest.name, plugin: pluginObj });
+        });
+      } else {
+        logger.warn('PLUGIN', `${manifest.name} 声明了 events 但缺少 onEvent 方法`);
+      }
+    }
+
+    this.loadedPlugins.set(manifest.name, pluginObj);
+    this.pluginInfo.set(pluginObj, {
+      name: manifest.name,
+      manifest,
+      apiVersion: manifest.apiVersion || 1,
+      // manifest.progress 可覆盖机器人的处理中提示配置（false 关闭）
+      progress: manifest.progress === undefined ? undefined : manifest.progress && { ...DEFAULT_PROGRESS, ...manifest.progress }
+    });
+
+    // 初始化插件
+    if (typeof pluginObj.init === 'function') {
+      await pluginObj.init();
+      logger.plugin('PLUGIN', `${manifest.name} 初始化完成`);
+    }
+
+    return pluginObj;
+  }
+
+  // 为插件创建上下文（共享资源之外，附加与插件绑定的定时任务接口）
+  createContext(name) {
+    const ctx = Object.create(this.context);
+    ctx.send = (target, message) => this.context.send(target, this.bindMessage(name, message));
+    ctx.schedule = (cron, fn, options) => this.scheduler.schedule(name, cron, fn, options);
+    ctx.jobs = () => this.scheduler.list(name);
+    ctx.storage = this.createStorage(name);
+    ctx.prompt = (question, options) => this.sessions.prompt(name, question, options);
+    ctx.sessions = {
+      start: (options) => this.sessions.start(name, options),
+      get: (user) => this.sessions.get(name, user),
+      end: (user) => this.sessions.end(this.sessions.get(name, user))
+    };
+    return ctx;
+  }
+
+  // 启动目录监听
+  startWatching() {
+    if (this.watcher) return;
+
+    logger.info('PLUGIN', `启动插件目录监听: ${this.pluginDir}`);
+
+    this.watcher = fs.watch(this.pluginDir, (eventType, filename) => {
+      if (!filename) return;
+
+      const filePath = path.join(this.pluginDir, filename);
+
+      try {
+        // 检查文件类型
+        if (fs.existsSync(filePath)) {
+          const stat = fs.statSync(filePath);
+          const isDirectory = stat.isDirectory();
+          const isZip = filename.endsWith('.zip');
+
+          if (isDirectory || isZip) {
+            logger.info('PLUGIN', `检测到插件变更: ${eventType} ${filename}`);
+
+            // 防抖处理
+            if (this.reloadDebounce) clearTimeout(this.reloadDebounce);
+
+            this.reloadDebounce = setTimeout(async () => {
+              logger.info('PLUGIN', '检测到插件变更，重新加载插件...');
+              await this.reloadPlugins();
+            }, 1000);
+          }
+        }
+      } catch (err) {
+        logger.error('PLUGIN', `文件检测错误: ${filename}`, err);
+      }
+    });
+
+    this.watcher.on('error', (err) => {
+      logger.error('PLUGIN', '目录监听错误:', err);
+    });
+  }
+
+  // 重新加载插件
+  async reloadPlugins() {
+    try {
+      logger.info('PLUGIN', '开始重新加载插件...');
+      await this.loadPlugins();
+      logger.info('PLUGIN', '插件重载完成');
+    } catch (e) {
+      logger.error('PLUGIN', '插件重载失败:', e);
+    }
+  }
+
+  // 插件发出的消息：回调按钮 data 加上插件名前缀，点击后路由回该插件
+  bindMessage(name, message) {
+    if (Array.isArray(message)) return message.map(m => this.bindMessage(name, m));
+    if (!message?.keyboard) return message;
+    return { ...message, keyboard: namespaceKeyboard(message.keyboard, name) };
+  }
+
+  // 调用插件的 main 方法，回复内容绑定到该插件
+  async callMain(plugin, msgType, msgContent, senderOpenid, isPrivate, meta) {
+    const { name, apiVersion, progress = meta.progress } = this.pluginInfo.get(plugin);
+
+    // 消息作用域：ctx.prompt 收到用户回复后，之后的回复改为引用用户最新的消息
+    const scope = { name, event: meta.event, command: msgType, send: meta.reply, replied: false };
+    const reply = meta.reply && ((message) => {
+      scope.replied = true;
+      return scope.send(this.bindMessage(name, message));
+    });
+    scope.reply = reply;
+
+    // 插件迟迟未返回且未回复时，先发送处理中提示（后续回复使用递增的 msg_seq）
+    const progressTimer = progress && reply && setTimeout(() => {
+      if (!scope.replied) reply(progress.text);
+    }, progress.delay);
+
+    try {
+      // apiVersion 2：传入完整的消息事件
+      const retMsg = await this.sessions.run(scope, () => apiVersion >= 2
+        ? plugin.main({ ...meta.event, command: msgType, args: msgContent, reply, session: meta.session })
+        : plugin.main(msgType, msgContent, senderOpenid, isPrivate, { bot: meta.bot, reply, session: meta.session }));
+
+      const bound = this.bindMessage(name, retMsg);
+      if (!bound || scope.event === meta.event) return bound;
+
+      // 经过 prompt 的对话，最终结果同样回复用户最新的消息
+      for (const message of Array.isArray(bound) ? bound : [bound]) {
+        await scope.send(message);
+      }
+      return null;
+    } catch (e) {
+      // prompt 超时或会话被结束，对话到此为止
+      if (e instanceof SessionEndedError) {
+        logger.info('SESSION', `${name}: ${e.message}`);
+        return null;
+      }
+      throw e;
+    } finally {
+      clearTimeout(progressTimer);
+      this.sessions.release(scope);
+    }
+  }
+
+  /**
+   * 处理消息
+   * @param {string} msgType 消息类型
+   * @param {string} msgContent 消息内容
+   * @param {string} senderOpenid 发送者 openid
+   * @param {boolean} isPrivate 是否为私聊
+   * @param {Object} [meta] 附加信息，bot 为接收消息的机器人 { appId, name }，event 为完整的消息事件，reply 为回复函数
+   */
+  async processMessage(msgType, msgContent, senderOpenid, isPrivate, meta = {}) {
+    // 会话中的消息交给会话所属插件，无需指令前缀
+    const session = this.sessions.match(meta.event);
+    const plugin = session && this.loadedPlugins.get(session.owner);
+    if (plugin) {
+      if (this.sessions.deliver(session, meta.event)) return null;
+
+      // 消息带有该插件自己的指令时去掉指令，否则整条消息作为参数
+      const args = this.plugins.get(msgType) === plugin ? msgContent : (meta.event.content || '').trim();
+      try {
+        return await this.callMain(plugin, session.command, args, senderOpenid, isPrivate, { ...meta, session });
+      } catch (e) {
+        logger.error('PLUGIN', `${session.owner} 会话处理失败:`, e);
+        return "插件处理出错";
+      }
+    }
+
+    // 优先使用匹配的插件
+    const matched = this.plugins.get(msgType);
+    if (matched) {
+      try {
+        return await this.callMain(matched, msgType, msgContent, senderOpenid, isPrivate, meta);
+      } catch (e) {
+        logger.error('PLUGIN', `${msgType}处理失败:`, e);
+        return "插件处理出错";
+      }
+    }
+
+    // 其次使用默认插件（仅含附件的消息只交给 apiVersion 2 插件）
+    if (this.defaultPlugin && (msgType || this.pluginInfo.get(this.defaultPlugin).apiVersion >= 2)) {
+      try {
+        return await this.callMain(this.defaultPlugin, msgType, msgContent, senderOpenid, isPrivate, meta);
+      } catch (e) {
+        logger.error('PLUGIN', '默认插件处理失败:', e);
+      }
+    }
+
+    return null;
+  }
+
+  // 分发事件到订阅插件，返回各插件的回复内容
+  async emitEvent(event) {
+    const handlers = this.eventHandlers.get(event.type) || [];
+    const results = [];
+
+    for (const { name, plugin } of handlers) {
+      try {
+        const retMsg = this.bindMessage(name, await plugin.onEvent(event));
+        if (Array.isArray(retMsg)) {
+          results.push(...retMsg);
+        } else if (retMsg) {
+          results.push(retMsg);
+        }
+      } catch (e) {
+        logger.error('PLUGIN', `${name} 处理事件 ${event.type} 失败:`, e);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 将按钮回调分发给按钮所属的插件 (onInteraction)
+   * @param {Object} event 回调事件
+   * @returns {Promise<Object|null>} { name, retMsg }，没有对应插件时为 null；插件出错时抛出异常
+   */
+  async handleInteraction(event) {
+    const { namespace, data } = parseButtonData(event.buttonData);
+    const plugin = namespace && this.loadedPlugins.get(namespace);
+    if (!plugin || typeof plugin.onInteraction !== 'function') return null;
+
+    const retMsg = await plugin.onInteraction({
+      ...event,
+      data,
+      reply: (message) => event.reply(this.bindMessage(namespace, message))
+    });
+
+    return { name: namespace, retMsg: this.bindMessage(namespace, retMsg) };
+  }
+
+  async cleanup() {
+    logger.info('PLUGIN', '清理插件资源...');
+
+    const cleanupPlugin = async (plugin, name = '') => {
+      if (typeof plugin.cleanup === 'function') {
+        try {
+          await plugin.cleanup();
+          logger.debug('PLUGIN', `${name} 清理完成`);
+        } catch (e) {
+          logger.error('PLUGIN', `${name} 清理失败:`, e);
+        }
+      }
+    };
+
+    for (const [name, plugin] of this.loadedPlugins) {
+      this.scheduler.cancelOwner(name);
+      await cleanupPlugin(plugin, name);
+    }
+  }
+
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+      logger.info('PLUGIN', '停止插件目录监听');
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PROGRESS,
+  createPluginContext,
+  PluginManager
+};
@@ -1,9 +1,3 @@
-const fs = require('fs');
-const path = require('path');
-
-// 缓存文件路径
-const CACHE_PATH = path.join(__dirname, 'cache.json');
-
 // 凌晨时间判定函数
 const isSameDay = (timestamp) => {
   const now = new Date();
@@ -129,31 +123,13 @@ function getComment(value) {
 
 module.exports = {
   dailyLuckPlugin: {
-    async init() {
-      try {
-        if (!fs.existsSync(CACHE_PATH) || fs.readFileSync(CACHE_PATH).toString().trim() === '') {
-          fs.writeFileSync(CACHE_PATH, JSON.stringify({}));
-        }
-      } catch (e) {
-        console.error('[缓存初始化失败]', e);
-        fs.writeFileSync(CACHE_PATH, JSON.stringify({}));
-      }
-    },
-
+    // 今日结果保存在插件存储 ctx.storage 中，键为 openid
     async main(msgType, msg, senderOpenid) {
-        let cache = {};
-        try {
-            cache = JSON.parse(fs.readFileSync(CACHE_PATH));
-        } catch (e) {
-            console.error('[缓存读取失败]', e);
-            cache = {};
-        }
-    
+        const storage = this.ctx.storage;
+
         // 新增删除缓存指令处理
         if (msg && msg.includes('删除缓存')) {
-            if (cache[senderOpenid]) {
-                delete cache[senderOpenid];
-                fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2));
+            if (storage.delete(senderOpenid)) {
                 return '已清除您今日的运势缓存';
             }
             return '您当前没有可清除的缓存记录';
@@ -162,31 +138,25 @@ module.exports = {
         const currentTime = Date.now();
   
         // 清理过期缓存
-        Object.keys(cache).forEach(openid => {
-          if (!isSameDay(cache[openid].timestamp)) {
-            delete cache[openid];
+        storage.keys().forEach(openid => {
+          if (!isSameDay(storage.get(openid).timestamp)) {
+            storage.delete(openid);
           }
         });
   
         // 判断缓存有效性
-        if (cache[senderOpenid] && isSameDay(cache[senderOpenid].timestamp)) {
-          return `\n你今天的人品是：${cache[senderOpenid].value}\n${getComment(cache[senderOpenid].value)}`;
+        const cached = storage.get(senderOpenid);
+        if (cached) {
+          return `\n你今天的人品是：${cached.value}\n${getComment(cached.value)}`;
         }
   
         // 生成新结果
         const newValue = Math.floor(Math.random() * 101);
-        cache[senderOpenid] = {
+        storage.set(senderOpenid, {
           value: newValue,
           timestamp: currentTime
-        };
-  
-        // 更新缓存
-        fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2));
+        });
         return `\n你今天的人品是：${newValue}\n${getComment(newValue)}`;
-      },
-      catch (error) {
-      console.error('Error in dailyLuckPlugin:', error);
-      return '今天的人品计算出错了，请稍后重试。';
-    }
+      }
   }
-};
\ No newline at end of file
+};
@@ -9,42 +9,39 @@ const chartJsPath = path.join(__dirname, 'chart.js');
 const chartJsContent = fs.readFileSync(chartJsPath, 'utf8');
 const chartJsDataURL = `data:application/javascript;base64,${Buffer.from(chartJsContent).toString('base64')}`;
 
+// 答题进度保存在 ctx.storage 中（按用户），会话只负责把回答交给本插件，30分钟无回复自动结束
+const SESSION_TIMEOUT = 30 * 60 * 1000;
+
 module.exports = {
   ideologyTestPlugin: {
     async init() {
-      this.dataDir = path.join(__dirname, 'data');
-      if (!fs.existsSync(this.dataDir)) {
-        fs.mkdirSync(this.dataDir);
-      }
       console.log('意识形态测试插件已初始化');
     },
 
-    async main(msgType, msgContent, senderOpenid) {
+    // 测试期间用户处于会话中，回答无需再输入指令
+    async main(msgType, msgContent, senderOpenid, isPrivate, { session } = {}) {
       try {
-        const userFile = path.join(this.dataDir, `${senderOpenid}.json`);
+        const content = msgContent.trim();
 
-        // 处理带斜杠的指令格式
-        const isDirectAnswer = true;
-        const normalizedType = isDirectAnswer ? "意识形态" : msgType;
-        const normalizedContent = isDirectAnswer ? msgContent : msgContent;
-
-        if (normalizedType.startsWith('/')) normalizedType = normalizedType.slice(1)
-        if (normalizedType !== "意识形态") {
-          return "指令格式错误，请使用 '@bot 意识形态' 或 '@bot /意识形态'";
+        if (content.toLowerCase() === '中止') {
+          const ended = this.ctx.sessions.end();
+          const saved = this.ctx.storage.delete(senderOpenid);
+          return ended || saved ? '测试已中止，进度已清除' : '当前没有进行中的测试';
         }
 
-        if (normalizedContent.trim().toLowerCase() === '中止') {
-          if (fs.existsSync(userFile)) fs.unlinkSync(userFile);
-          return '测试已中止，进度已清除';
-        }
+        const userData = this.ctx.storage.get(senderOpenid) || this.createUserData();
 
-        let userData = this.getUserData(userFile);
+        // 开始测试，或在会话超时后继续上次的进度
+        if (!session) {
+          this.ctx.sessions.start({ timeout: SESSION_TIMEOUT });
+          return this.getQuestions(senderOpenid, userData);
+        }
 
-        if (normalizedContent.trim() === '') {
-          return this.getQuestions(userData, userFile);
+        if (content === '') {
+          return this.getQuestions(senderOpenid, userData);
         }
 
-        return this.processAnswers(normalizedContent, userData, userFile, senderOpenid);
+        return this.processAnswers(content, senderOpenid, userData);
 
       } catch (error) {
         console.error('处理错误:', error);
@@ -52,11 +49,7 @@ module.exports = {
       }
     },
 
-    getUserData(userFile) {
-      if (fs.existsSync(userFile)) {
-        return JSON.parse(fs.readFileSync(userFile, 'utf8'));
-      }
-
+    createUserData() {
       const allQuestionIds = questionsData.questions.map(q => q.id);
       return {
         answered: [],
@@ -65,7 +58,7 @@ module.exports = {
       };
     },
 
-    async getQuestions(userData, userFile) {
+    async getQuestions(openid, userData) {
       // 1. 检查当前批次是否已有题目
       if (userData.currentBatch && userData.currentBatch.length > 0) {
         return this.buildQuestionsResponse(userData);
@@ -86,8 +79,8 @@ module.exports = {
         userData.currentBatch.push(questionId);
       }
 
-      // 4. 保存用户数据
-      fs.writeFileSync(userFile, JSON.stringify(userData));
+      // 4. 保存进度
+      this.ctx.storage.set(openid, userData);
 
       // 5. 构建响应
       return this.buildQuestionsResponse(userData);
@@ -155,17 +148,17 @@ module.exports = {
       return response;
     },
 
-    async processAnswers(input, userData, userFile, senderOpenid) {
+    async processAnswers(input, openid, userData) {
       // 1. 在开头添加当前批次是否为空的检查
       if (!userData.currentBatch || userData.currentBatch.length === 0) {
-        return '当前没有待回答的问题！请先发送空消息获取题目';
+        return this.getQuestions(openid, userData);
       }
 
       // 2. 验证答案格式
       const answers = input.trim().split(/\s+/).map(Number);
       if (answers.length !== userData.currentBatch.length ||
         answers.some(a => isNaN(a) || a < -2 || a > 2)) {
-        return '输入格式错误！请提供一组-2到2之间的整数，用空格分隔';
+        return '输入格式错误！请提供一组-2到2之间的整数，用空格分隔\n输入"中止"可结束测试';
       }
 
       // 3. 保存答案
@@ -178,7 +171,8 @@ module.exports = {
       // 4. 检查是否完成测试
       if (userData.remaining.length === 0) {
         const result = this.calculateResults(userData);
-        if (fs.existsSync(userFile)) fs.unlinkSync(userFile);
+        this.ctx.storage.delete(openid);
+        this.ctx.sessions.end();
 
         const htmlContent = this.generateRadarChart(result);
 
@@ -202,8 +196,7 @@ module.exports = {
       }
 
       // 5. 保存进度并返回下一批问题
-      fs.writeFileSync(userFile, JSON.stringify(userData));
-      return this.getQuestions(userData, userFile);
+      return this.getQuestions(openid, userData);
     },
 
     calculateResults(userData) {
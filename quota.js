@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// 每个群/用户每月可接收的主动消息条数（QQ 开放平台默认限制）
+const DEFAULT_LIMITS = {
+  group: 4,
+  c2c: 4
+};
+
+/**
+ * 主动消息额度已用尽
+ */
+class QuotaExceededError extends Error {
+  constructor(key, limit) {
+    super(`主动消息额度已用尽: ${key} (本月上限 ${limit} 条)`);
+    this.name = 'QuotaExceededError';
+    this.code = 'ACTIVE_QUOTA_EXCEEDED';
+    this.key = key;
+    this.limit = limit;
+  }
+}
+
+// 当前月份，如 2025-08
+function currentMonth() {
+  const now = new Date();
+  return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+}
+
+// === 主动消息额度 ===
+// 按目标记录当月已发送的主动消息数量，持久化到 JSON 文件
+class ActiveQuota {
+  constructor(file) {
+    this.file = file;
+    this.usage = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        this.usage = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (e) {
+      logger.error('QUOTA', `主动消息额度读取失败: ${e.message}`);
+      this.usage = {};
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.usage, null, 2));
+    } catch (e) {
+      logger.error('QUOTA', `主动消息额度保存失败: ${e.message}`);
+    }
+  }
+
+  // 当月已使用次数（跨月自动清零）
+  used(key) {
+    const entry = this.usage[key];
+    return entry && entry.month === currentMonth() ? entry.count : 0;
+  }
+
+  remaining(key, limit) {
+    return Math.max(0, limit - this.used(key));
+  }
+
+  /**
+   * 预占一次额度
+   * @param {string} key 目标标识
+   * @param {number} limit 每月上限
+   * @throws {QuotaExceededError} 额度已用尽
+   */
+  reserve(key, limit) {
+    const count = this.used(key);
+    if (count >= limit) throw new QuotaExceededError(key, limit);
+
+    this.usage[key] = { month: currentMonth(), count: count + 1 };
+    this.save();
+  }
+
+  // 发送失败时归还额度
+  release(key) {
+    const count = this.used(key);
+    if (count > 0) {
+      this.usage[key] = { month: currentMonth(), count: count - 1 };
+      this.save();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  QuotaExceededError,
+  ActiveQuota
+};
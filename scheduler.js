@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const defaultLogger = require('./logger');
+
+// cron 字段范围：分 时 日 月 周
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 错过执行的处理策略
+const MISSED_POLICIES = ['skip', 'once', 'all'];
+
+// 补执行的最大次数（missed: 'all'）
+const MAX_CATCH_UP = 100;
+
+// setTimeout 最大延迟约 24.8 天，超过时分段等待
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const MINUTE = 60 * 1000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const item of text.split(',')) {
+    const match = item.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) throw new Error(`无效的 cron ${name} 字段: ${text}`);
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? min : Number(start);
+    const to = start === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+    const by = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw new Error(`cron ${name} 字段超出范围: ${item}`);
+    }
+
+    for (let v = from; v <= to; v += by) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * 解析 cron 表达式（分 时 日 月 周，支持 * , - / 及 @daily 等简写）
+ * @param {string} expression cron 表达式
+ * @returns {Object} 解析结果
+ */
+function parseCron(expression) {
+  const text = MACROS[expression.trim()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron 表达式应包含 5 个字段: ${expression}`);
+
+  const [minute, hour, day, month, weekday] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 周日可写作 0 或 7
+  if (weekday.has(7)) {
+    weekday.delete(7);
+    weekday.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    day,
+    month,
+    weekday,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+const formatters = new Map();
+
+// 获取指定时区的本地时间字段
+function getParts(time, timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function matchesDay(cron, parts) {
+  const day = cron.day.has(parts.day);
+  const weekday = cron.weekday.has(parts.weekday);
+
+  // 与标准 cron 一致：日、周同时限定时满足其一即可
+  if (!cron.anyDay && !cron.anyWeekday) return day || weekday;
+  return day && weekday;
+}
+
+/**
+ * 计算下一次执行时间
+ * @param {Object} cron parseCron 的结果
+ * @param {number} after 起始时间戳（不含）
+ * @param {string} timezone 时区，如 Asia/Shanghai
+ * @returns {number|null} 下一次执行的时间戳，五年内无匹配时为 null
+ */
+function nextRun(cron, after, timezone) {
+  let time = Math.floor(after / MINUTE) * MINUTE + MINUTE;
+  const limit = after + 5 * 366 * 24 * 60 * MINUTE;
+
+  while (time <= limit) {
+    const parts = getParts(time, timezone);
+
+    // 前进后重新读取当地时间：夏令时切换当天只有 23 或 25 小时，不能按 24 小时推算次日
+    if (!cron.month.has(parts.month) || !matchesDay(cron, parts)) {
+      // 先到当天 23 点（跨过夏令时开始时为次日 0 点），再逐小时前进
+      time += (60 - parts.minute + Math.max(0, 22 - parts.hour) * 60) * MINUTE;
+    } else if (!cron.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE;
+    } else if (!cron.minute.has(parts.minute)) {
+      time += MINUTE;
+    } else {
+      return time;
+    }
+  }
+
+  return null;
+}
+
+// === 定时任务调度 ===
+// 插件通过 ctx.schedule 注册任务，下一次执行时间持久化，插件卸载时自动取消
+class Scheduler {
+  /**
+   * @param {Object} options 调度配置
+   * @param {string} [options.file] 执行时间记录文件，不填时不持久化（测试用）
+   * @param {string} [options.timezone] 默认时区，默认使用系统时区
+   * @param {boolean} [options.timers] 为 false 时不设置定时器，由调用方通过 runDue 执行到期任务（测试用）
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.timers = options.timers !== false;
+    this.timezone = options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.logger = options.logger || defaultLogger;
+    this.jobs = new Map();
+    this.state = {};
+    this.load();
+  }
+
+  load() {
+    if (!this.file) return;
+
+    try {
+      if (fs.existsSync(this.file)) {
+        this.state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (e) {
+      this.logger.error('SCHEDULE', `任务记录读取失败: ${e.message}`);
+      this.state = {};
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+    } catch (e) {
+      this.logger.error('SCHEDULE', `任务记录保存失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 注册定时任务
+   * @param {string} owner 所属插件
+   * @param {string} expression cron 表达式
+   * @param {Function} fn 任务函数 ({ scheduledAt, missed }) => void
+   * @param {Object} [options] 任务配置
+   * @param {string} [options.name] 任务名，用于持久化执行时间，默认为 cron 表达式
+   * @param {string} [options.timezone] 时区
+   * @param {string} [options.missed] 错过执行的处理：skip 跳过（默认）、once 补执行一次、all 逐次补执行
+   * @returns {Object} 任务信息，可调用 cancel() 取消
+   */
+  schedule(owner, expression, fn, options = {}) {
+    if (typeof fn !== 'function') throw new Error('定时任务缺少执行函数');
+
+    const timezone = options.timezone || this.timezone;
+    const missed = options.missed || 'skip';
+    if (!MISSED_POLICIES.includes(missed)) throw new Error(`无效的 missed 策略: ${missed}`);
+
+    const cron = parseCron(expression);
+    getParts(Date.now(), timezone); // 校验时区
+
+    let id = `${owner}:${options.name || expression}`;
+    if (this.jobs.has(id)) {
+      if (options.name) throw new Error(`定时任务已存在: ${id}`);
+      let n = 2;
+      while (this.jobs.has(`${id}#${n}`)) n++;
+      id = `${id}#${n}`;
+    }
+
+    const job = {
+      id,
+      owner,
+      expression,
+      timezone,
+      missed,
+      cron,
+      fn,
+      timer: null,
+      running: false,
+      lastRun: null,
+      nextRun: null,
+      cancel: () => this.cancel(id)
+    };
+    this.jobs.set(id, job);
+
+    // 恢复上次记录的执行时间（表达式变更时重新计算）
+    const saved = this.state[id];
+    const now = Date.now();
+    const due = saved && saved.expression === expression && saved.timezone === timezone ? saved.nextRun : null;
+
+    if (due && due <= now) {
+      this.catchUp(job, due, now);
+    } else {
+      this.arm(job, due || nextRun(cron, now, timezone));
+    }
+
+    this.logger.debug('SCHEDULE', `注册任务 ${id}，下次执行: ${this.format(job.nextRun, timezone)}`);
+    return this.describe(job);
+  }
+
+  // 处理停机期间错过的执行
+  async catchUp(job, due, now) {
+    const missedRuns = [];
+    for (let t = due; t !== null && t <= now && missedRuns.length < MAX_CATCH_UP; t = nextRun(job.cron, t, job.timezone)) {
+      missedRuns.push(t);
+    }
+
+    this.arm(job, nextRun(job.cron, now, job.timezone));
+
+    if (job.missed === 'skip') {
+      this.logger.info('SCHEDULE', `任务 ${job.id} 错过 ${missedRuns.length} 次执行，已跳过`);
+      return;
+    }
+
+    const runs = job.missed === 'once' ? missedRuns.slice(-1) : missedRuns;
+    this.logger.info('SCHEDULE', `任务 ${job.id} 错过 ${missedRuns.length} 次执行，补执行 ${runs.length} 次`);
+
+    for (const scheduledAt of runs) {
+      if (!this.jobs.has(job.id)) return;
+      await this.run(job, scheduledAt, true);
+    }
+  }
+
+  arm(job, time) {
+    clearTimeout(job.timer);
+    job.nextRun = time;
+
+    this.state[job.id] = { expression: job.expression, timezone: job.timezone, nextRun: time };
+    this.save();
+
+    if (time === null) {
+      this.logger.warn('SCHEDULE', `任务 ${job.id} 没有下一次执行时间`);
+      return;
+    }
+    if (!this.timers) return;
+
+    const wait = () => {
+      const delay = time - Date.now();
+      if (delay > 0) {
+        job.timer = setTimeout(wait, Math.min(delay, MAX_TIMER_DELAY));
+        return;
+      }
+
+      this.arm(job, nextRun(job.cron, Math.max(time, Date.now()), job.timezone));
+      this.run(job, time, false);
+    };
+    wait();
+  }
+
+  async run(job, scheduledAt, missed) {
+    if (job.running) {
+      this.logger.warn('SCHEDULE', `任务 ${job.id} 上次执行尚未结束，跳过本次`);
+      return;
+    }
+
+    job.running = true;
+    job.lastRun = Date.now();
+
+    try {
+      await job.fn({ scheduledAt: new Date(scheduledAt), missed });
+      this.logger.debug('SCHEDULE', `任务 ${job.id} 执行完成`);
+    } catch (e) {
+      this.logger.error('SCHEDULE', `任务 ${job.id} 执行失败:`, e);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * 按计划时间依次执行截止时间前到期的任务（timers 为 false 时使用）
+   * @param {number} until 截止时间（毫秒时间戳）
+   * @param {Function} [onRun] 每次执行前调用，参数为计划执行时间，用于推进外部时钟
+   */
+  async runDue(until, onRun) {
+    for (;;) {
+      const job = [...this.jobs.values()]
+        .filter(item => item.nextRun !== null && item.nextRun <= until)
+        .sort((a, b) => a.nextRun - b.nextRun)[0];
+      if (!job) return;
+
+      const time = job.nextRun;
+      if (onRun) onRun(time);
+      this.arm(job, nextRun(job.cron, time, job.timezone));
+      await this.run(job, time, false);
+    }
+  }
+
+  // 取消任务（保留执行时间记录，重新注册同名任务时沿用）
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    clearTimeout(job.timer);
+    this.jobs.delete(id);
+    return true;
+  }
+
+  // 取消插件的全部任务
+  cancelOwner(owner) {
+    let count = 0;
+    for (const job of [...this.jobs.values()]) {
+      if (job.owner === owner && this.cancel(job.id)) count++;
+    }
+
+    if (count > 0) this.logger.debug('SCHEDULE', `已取消 ${owner} 的 ${count} 个定时任务`);
+    return count;
+  }
+
+  /**
+   * 列出任务
+   * @param {string} [owner] 仅列出指定插件的任务
+   * @returns {Object[]} 任务信息
+   */
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter(job => !owner || job.owner === owner)
+      .map(job => this.describe(job));
+  }
+
+  describe(job) {
+    return {
+      id: job.id,
+      owner: job.owner,
+      expression: job.expression,
+      timezone: job.timezone,
+      missed: job.missed,
+      running: job.running,
+      lastRun: job.lastRun && new Date(job.lastRun),
+      nextRun: job.nextRun && new Date(job.nextRun),
+      cancel: job.cancel
+    };
+  }
+
+  format(time, timezone) {
+    if (time === null) return '无';
+    return new Date(time).toLocaleString('zh-CN', { timeZone: timezone, hour12: false });
+  }
+
+  close() {
+    for (const job of this.jobs.values()) clearTimeout(job.timer);
+    this.jobs.clear();
+  }
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  Scheduler
+};
@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const defaultLogger = require('./logger');
+
+// 会话默认超时（无消息往来的时间）
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+// prompt 会话中，插件尚未开始等待时最多暂存的消息数
+const MAX_QUEUED = 10;
+
+/**
+ * 会话已结束（超时或被结束）时，等待中的 ctx.prompt 抛出此错误
+ */
+class SessionEndedError extends Error {
+  constructor(session, reason) {
+    super(reason === 'timeout' ? `会话已超时: ${session.id}` : `会话已结束: ${session.id}`);
+    this.name = 'SessionEndedError';
+    this.code = 'SESSION_ENDED';
+    this.reason = reason;
+  }
+}
+
+// 会话范围：群聊为群，频道为子频道，私聊为空
+const scopeOf = (user) => user.groupId || user.channelId || null;
+
+// === 多轮会话 ===
+// 插件为用户开启会话后，该用户之后的消息无需指令前缀直接交给该插件，直到会话结束或超时。
+// 会话由插件管理器持有，插件热重载后仍然保留（按插件名路由到重载后的插件）。
+// 处理消息时通过 AsyncLocalStorage 记录当前消息，ctx.prompt / ctx.sessions 据此确定用户
+class SessionManager extends EventEmitter {
+  /**
+   * @param {Object} [logger] 日志工具
+   */
+  constructor(logger = defaultLogger) {
+    super();
+    this.logger = logger;
+    this.sessions = new Map();
+    this.scope = new AsyncLocalStorage();
+  }
+
+  static key(openid, scope) {
+    return scope ? `${scope}:${openid}` : openid;
+  }
+
+  /**
+   * 在消息作用域中执行插件代码
+   * @param {Object} scope { name, event, command, reply, replied }
+   * @param {Function} fn 插件调用
+   */
+  run(scope, fn) {
+    return this.scope.run(scope, fn);
+  }
+
+  // 当前正在处理的消息作用域
+  current() {
+    return this.scope.getStore();
+  }
+
+  // 未指定用户时使用当前消息的发送者
+  resolveUser(user) {
+    const target = user || this.current()?.event;
+    if (!target?.openid) throw new Error('缺少会话用户，请在处理消息时调用或指定 { openid, groupId }');
+    return target;
+  }
+
+  /**
+   * 开启会话
+   * @param {string} owner 插件名
+   * @param {Object} [options] 会话配置
+   * @param {Object} [options.user] 会话用户 { openid, groupId }，默认为当前消息的发送者
+   * @param {number} [options.timeout] 超时（毫秒），默认 5 分钟
+   * @param {boolean} [options.group] 是否仅在当前群内生效，默认 true；为 false 时用户在任意场景的消息都会进入会话
+   * @param {Object} [options.data] 会话数据，默认为空对象
+   * @param {string} [options.command] 会话消息使用的指令，默认为开启会话的消息的指令
+   * @returns {Object} 会话
+   */
+  start(owner, options = {}) {
+    const user = this.resolveUser(options.user);
+    const scope = options.group === false ? null : scopeOf(user);
+    const id = SessionManager.key(user.openid, scope);
+
+    const existing = this.sessions.get(id);
+    if (existing && existing.owner !== owner) {
+      throw new Error(`用户 ${user.openid} 正在 ${existing.owner} 的会话中`);
+    }
+    if (existing) this.end(existing, 'replaced');
+
+    const session = {
+      id,
+      owner,
+      openid: user.openid,
+      scope,
+      command: options.command ?? this.current()?.command ?? '',
+      data: options.data ?? {},
+      timeout: options.timeout || DEFAULT_TIMEOUT,
+      expiresAt: 0,
+      transient: false,
+      pending: null,
+      queue: [],
+      timer: null,
+      end: () => this.end(session)
+    };
+
+    this.sessions.set(id, session);
+    this.touch(session);
+    this.logger.debug('SESSION', `${owner} 开启会话: ${id}`);
+    return session;
+  }
+
+  /**
+   * 获取插件与用户的会话
+   * @param {string} owner 插件名
+   * @param {Object} [user] 会话用户，默认为当前消息的发送者
+   * @returns {Object|null} 会话
+   */
+  get(owner, user) {
+    const session = this.match(this.resolveUser(user));
+    return session && session.owner === owner ? session : null;
+  }
+
+  /**
+   * 查找消息所属的会话（群内会话优先）
+   * @param {Object} event 消息事件
+   * @returns {Object|null} 会话
+   */
+  match(event) {
+    if (!event?.openid) return null;
+
+    const scope = scopeOf(event);
+    return (scope && this.sessions.get(SessionManager.key(event.openid, scope))) ||
+      this.sessions.get(event.openid) ||
+      null;
+  }
+
+  // 刷新超时
+  touch(session) {
+    clearTimeout(session.timer);
+    session.expiresAt = Date.now() + session.timeout;
+    session.timer = setTimeout(() => this.end(session, 'timeout'), session.timeout);
+    session.timer.unref();
+  }
+
+  /**
+   * 结束会话
+   * @param {Object} session 会话
+   * @param {string} [reason] 结束原因
+   * @returns {boolean} 会话是否仍在进行
+   */
+  end(session, reason = 'ended') {
+    if (!session || this.sessions.get(session.id) !== session) return false;
+
+    this.sessions.delete(session.id);
+    clearTimeout(session.timer);
+    this.logger.debug('SESSION', `${session.owner} 会话结束 (${reason}): ${session.id}`);
+
+    if (session.pending) {
+      session.pending.reject(new SessionEndedError(session, reason));
+      session.pending = null;
+    }
+    return true;
+  }
+
+  /**
+   * 仅保留仍然加载的插件的会话
+   * @param {Function} isLoaded (插件名) => boolean
+   */
+  retain(isLoaded) {
+    for (const session of [...this.sessions.values()]) {
+      if (!isLoaded(session.owner)) this.end(session, 'unloaded');
+    }
+  }
+
+  // 结束已到期的会话（时钟被调整时使用，正常情况下由定时器结束）
+  expire(now = Date.now()) {
+    for (const session of [...this.sessions.values()]) {
+      if (session.expiresAt <= now) this.end(session, 'timeout');
+    }
+  }
+
+  /**
+   * 把会话中的消息交给等待中的 prompt
+   * @param {Object} session 会话
+   * @param {Object} event 消息事件
+   * @returns {boolean} 是否已被 prompt 接收（prompt 会话中暂存的消息也视为已接收）
+   */
+  deliver(session, event) {
+    this.touch(session);
+
+    if (session.pending) {
+      const { resolve } = session.pending;
+      session.pending = null;
+      resolve(event);
+      return true;
+    }
+
+    // prompt 会话中插件正在处理上一条消息，暂存等待下一次 prompt
+    if (session.transient) {
+      if (session.queue.length < MAX_QUEUED) session.queue.push(event);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 发送问题并等待当前用户的下一条消息
+   * @param {string} owner 插件名
+   * @param {string|Object} [question] 问题，格式与插件返回值相同
+   * @param {Object} [options] { timeout, group }
+   * @returns {Promise<Object>} 用户回复的消息事件（content 为完整内容，reply 回复该消息）
+   * @throws {SessionEndedError} 超时或会话被结束
+   */
+  async prompt(owner, question, options = {}) {
+    const scope = this.current();
+    if (!scope?.event) throw new Error('ctx.prompt 只能在处理消息时调用');
+
+    let session = this.get(owner, scope.event);
+    if (!session) {
+      // 临时会话，插件处理结束后自动关闭
+      session = this.start(owner, { ...options, user: scope.event, command: scope.command });
+      session.transient = true;
+      scope.sessions = [...(scope.sessions || []), session];
+    } else if (session.pending) {
+      throw new Error('该用户已有等待中的 prompt');
+    }
+
+    if (options.timeout) {
+      session.timeout = options.timeout;
+      this.touch(session);
+    }
+
+    scope.replied = true;
+    if (question && scope.reply) await scope.reply(question);
+
+    const next = session.queue.length
+      ? session.queue.shift()
+      : await new Promise((resolve, reject) => {
+        session.pending = { resolve, reject };
+        this.emit('prompt', session);
+      });
+
+    // 之后的回复引用用户最新的消息
+    scope.event = next;
+    scope.send = next.reply;
+    return next;
+  }
+
+  // 正在等待用户回复（ctx.prompt）的会话数
+  get waiting() {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (session.pending) count++;
+    }
+    return count;
+  }
+
+  // 插件处理结束，关闭本次创建的临时会话
+  release(scope) {
+    for (const session of scope.sessions || []) this.end(session, 'done');
+  }
+
+  clear() {
+    for (const session of [...this.sessions.values()]) this.end(session, 'closed');
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  SessionEndedError,
+  SessionManager
+};
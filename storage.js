@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// === 插件存储 ===
+// 每个插件独立的键值存储，值需可 JSON 序列化；指定文件时持久化到该文件，否则仅保存在内存中
+class Storage {
+  /**
+   * @param {string} [file] JSON 文件路径，不填时为内存存储（测试用）
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = {};
+    this.load();
+  }
+
+  load() {
+    if (!this.file) return;
+
+    try {
+      if (fs.existsSync(this.file)) {
+        this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (e) {
+      logger.error('STORAGE', `插件存储读取失败: ${e.message}`);
+      this.data = {};
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+    } catch (e) {
+      logger.error('STORAGE', `插件存储保存失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 读取
+   * @param {string} key 键
+   * @param {*} [fallback] 不存在时的默认值
+   * @returns {*} 值
+   */
+  get(key, fallback) {
+    return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : fallback;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this.save();
+    return value;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.data, key);
+  }
+
+  delete(key) {
+    if (!this.has(key)) return false;
+    delete this.data[key];
+    this.save();
+    return true;
+  }
+
+  keys() {
+    return Object.keys(this.data);
+  }
+
+  clear() {
+    this.data = {};
+    this.save();
+  }
+}
+
+module.exports = {
+  Storage
+};
@@ -0,0 +1,43 @@
+const http = require('http');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const api = require('../api');
+
+describe('api.js 鉴权', () => {
+  let server;
+  let requests;
+  let baseUrl;
+
+  before(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ url: 'wss://example.com', id: 'MSG_1' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('请求发往令牌管理器的接口地址', async () => {
+    const tokens = { baseUrl, getToken: async () => 'TOKEN', invalidate() {} };
+    await api.sendMessage(tokens, { groupId: 'G1' }, { content: 'hi', msg_type: 0 });
+
+    assert.deepStrictEqual(requests.at(-1), { method: 'POST', url: '/v2/groups/G1/messages', authorization: 'QQBot TOKEN' });
+  });
+
+  it('访问令牌字符串未指定接口地址时报错，不会发往正式环境', async () => {
+    const count = requests.length;
+
+    await assert.rejects(api.sendMessage('TOKEN', { groupId: 'G1' }, { content: 'hi', msg_type: 0 }), /访问令牌字符串无法确定接口地址/);
+    assert.strictEqual(requests.length, count);
+  });
+
+  it('带配置的接口仍可使用访问令牌字符串', async () => {
+    await api.getWsLink('TOKEN', { apiBase: baseUrl });
+
+    assert.deepStrictEqual(requests.at(-1), { method: 'GET', url: '/gateway?language=zh', authorization: 'QQBot TOKEN' });
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { MockQQServer } = require('../mockServer');
+const { INTERACTION_RESULT } = require('../events');
+const bot = require('../main');
+
+// 测试插件（模板 Markdown 消息、按钮回调与多条消息），在运行数据目录中生成
+const FIXTURE_PLUGIN = {
+  'manifest.json': JSON.stringify({ name: 'e2eButtons', version: 1.0, mainExport: './main', processingTypes: ['模板', '多条'] }),
+  'main.js': `module.exports = {
+  e2eButtons: {
+    async main(msgType, msgContent, senderOpenid, isPrivate, meta) {
+      if (msgType === '多条') {
+        const replies = await meta.reply(['回复一', '回复二']);
+        const sent = await this.ctx.send({ groupId: 'ACTIVE' }, ['主动一', '主动二']);
+        return \`\${replies.filter(r => r.ok).length} 条回复，\${sent.filter(r => r.ok).length} 条主动消息\`;
+      }
+      return { markdown: { templateId: 'TEMPLATE' }, text: '备用文本' };
+    },
+    async onInteraction(event) {
+      return \`已选择 \${event.data}\`;
+    }
+  }
+};
+`
+};
+
+describe('端到端：main.js 接入模拟开放平台', () => {
+  let mock;
+  let dataDir;
+
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qybot-e2e-'));
+    mock = new MockQQServer();
+    await mock.start();
+
+    // 重试间隔缩短为 10ms，避免拖慢测试
+    await bot.start({ botConfig: mock.botConfig({ outbound: { retryDelay: 10 } }), imageHost: null, dataDir });
+    await mock.ready();
+
+    const pluginDir = path.join(dataDir, 'e2eButtons');
+    fs.mkdirSync(pluginDir);
+    for (const [file, content] of Object.entries(FIXTURE_PLUGIN)) fs.writeFileSync(path.join(pluginDir, file), content);
+    await bot.getPluginManager().addPlugin(pluginDir);
+  });
+
+  after(async () => {
+    await bot.stop();
+    await mock.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('群聊 @消息被动回复', async () => {
+    const id = mock.groupMessage({ content: ' /今日人品', groupId: 'G1', openid: 'U1' });
+    const reply = await mock.waitForReply(id);
+
+    assert.strictEqual(reply.path, '/v2/groups/G1/messages');
+    assert.match(reply.body.content, /你今天的人品是：\d+/);
+    assert.strictEqual(reply.body.msg_type, 0);
+  });
+
+  it('单聊消息被动回复', async () => {
+    const id = mock.c2cMessage({ content: '/今日人品', openid: 'U2' });
+    const reply = await mock.waitForReply(id);
+
+    assert.strictEqual(reply.path, '/v2/users/U2/messages');
+    assert.match(reply.body.content, /你今天的人品是：\d+/);
+  });
+
+  it('令牌失效后重新获取并重放请求', async () => {
+    mock.expireTokens();
+
+    const id = mock.groupMessage({ content: '/今日人品', openid: 'U3' });
+    const reply = await mock.waitForReply(id);
+
+    assert.ok(reply.response.id);
+    assert.strictEqual(mock.tokens.size, 1);
+  });
+
+  it('网关断开后恢复会话', async () => {
+    const sessions = [...mock.sessions.keys()];
+    const resumed = mock.waitForEvent('resumed', 10000);
+    mock.disconnect();
+
+    assert.strictEqual(await resumed, sessions[0]);
+    assert.deepStrictEqual([...mock.sessions.keys()], sessions);
+
+    const id = mock.groupMessage({ content: '/今日人品', openid: 'U4' });
+    assert.ok((await mock.waitForReply(id)).response);
+  });
+
+  it('发送失败 (500) 时重试', async () => {
+    mock.fail(call => call.type === 'message' && call.target.groupId === 'RETRY', { status: 500 });
+
+    const id = mock.groupMessage({ content: '/今日人品', groupId: 'RETRY', openid: 'U5' });
+    await mock.waitForCall(call => call.body.msg_id === id && call.response);
+
+    const [failed, retried] = mock.replies(id);
+    assert.strictEqual(failed.error.status, 500);
+    assert.strictEqual(retried.body.content, failed.body.content);
+  });
+
+  it('reply 与 ctx.send 传入数组时逐条发送', async () => {
+    const id = mock.groupMessage({ content: '多条', groupId: 'MULTI' });
+    await mock.waitForCall(call => call.body.msg_id === id && call.body.content?.includes('条回复') && call.response);
+
+    assert.deepStrictEqual(mock.replies(id).map(call => [call.body.msg_seq, call.body.content]), [
+      [1, '回复一'],
+      [2, '回复二'],
+      [3, '2 条回复，2 条主动消息']
+    ]);
+    const active = mock.calls.filter(call => call.path === '/v2/groups/ACTIVE/messages');
+    assert.deepStrictEqual(active.map(call => [call.body.msg_id, call.body.content]), [[undefined, '主动一'], [undefined, '主动二']]);
+  });
+
+  it('按钮回调：回应并回复', async () => {
+    mock.reset();
+    const id = mock.interaction({ buttonData: 'e2eButtons:ok', openid: 'U6' });
+
+    const ack = await mock.waitForCall(call => call.type === 'interaction');
+    assert.strictEqual(ack.body.code, INTERACTION_RESULT.SUCCESS);
+    assert.strictEqual((await mock.waitForReply(id)).body.content, '已选择 ok');
+  });
+
+  it('按钮回调：无对应插件时回应失败', async () => {
+    mock.reset();
+    mock.interaction({ buttonData: 'missing:ok' });
+
+    const ack = await mock.waitForCall(call => call.type === 'interaction');
+    assert.strictEqual(ack.body.code, INTERACTION_RESULT.FAILED);
+  });
+
+  // 以下用例依次改变账号的 Markdown 权限状态，需按顺序执行
+  it('Markdown 被其他错误拒绝时作为发送失败处理', async () => {
+    mock.fail(call => call.body.msg_type === 2, { status: 400, code: 40034001 });
+
+    const id = mock.groupMessage({ content: '模板', groupId: 'MD' });
+    const failed = await mock.waitForCall(call => call.body.msg_id === id);
+    // 同一目标按顺序发送，后一条回复送达时前一条已处理完
+    await mock.waitForReply(mock.groupMessage({ content: '/今日人品', groupId: 'MD' }));
+
+    assert.strictEqual(failed.error.code, 40034001);
+    assert.deepStrictEqual(mock.replies(id), [failed]);
+  });
+
+  it('没有 Markdown 权限时改为发送备用文本，之后不再尝试', async () => {
+    mock.fail(call => call.body.msg_type === 2, { status: 400, code: 304050 });
+
+    const first = mock.groupMessage({ content: '模板', groupId: 'MD' });
+    await mock.waitForCall(call => call.body.msg_id === first && call.response);
+    const [denied, fallback] = mock.replies(first);
+    assert.strictEqual(denied.error.code, 304050);
+    assert.deepStrictEqual([fallback.body.msg_type, fallback.body.content], [0, '备用文本']);
+
+    const second = mock.groupMessage({ content: '模板', groupId: 'MD' });
+    await mock.waitForReply(second);
+    assert.deepStrictEqual(mock.replies(second).map(call => call.body.msg_type), [0]);
+  });
+});
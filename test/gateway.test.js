@@ -0,0 +1,205 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { OP, Gateway } = require('../gateway');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// 本地网关：记录机器人发来的每个数据包，由测试决定如何回应
+class FakeGatewayServer extends EventEmitter {
+  constructor({ heartbeatInterval = 45000, ack = true } = {}) {
+    super();
+    this.heartbeatInterval = heartbeatInterval;
+    this.ack = ack;
+    this.connections = [];
+    this.packets = [];
+  }
+
+  get url() {
+    return `ws://127.0.0.1:${this.wss.address().port}`;
+  }
+
+  start() {
+    this.wss = new WebSocket.Server({ host: '127.0.0.1', port: 0 });
+    this.wss.on('connection', (ws) => {
+      this.connections.push(ws);
+      this.send(ws, { op: OP.HELLO, d: { heartbeat_interval: this.heartbeatInterval } });
+
+      ws.on('message', (raw) => {
+        const packet = JSON.parse(raw.toString());
+        this.packets.push(packet);
+        if (packet.op === OP.HEARTBEAT && this.ack) this.send(ws, { op: OP.HEARTBEAT_ACK });
+        this.emit('packet', packet, ws);
+      });
+    });
+    return new Promise(resolve => this.wss.once('listening', resolve));
+  }
+
+  stop() {
+    for (const ws of this.wss.clients) ws.terminate();
+    return new Promise(resolve => this.wss.close(resolve));
+  }
+
+  send(ws, packet) {
+    ws.send(JSON.stringify(packet));
+  }
+
+  // 当前（最新）连接
+  get ws() {
+    return this.connections.at(-1);
+  }
+
+  /**
+   * 等待下一个指定操作码的数据包
+   * @param {number} op 操作码
+   * @returns {Promise<[Object, WebSocket]>} 数据包与所在连接
+   */
+  next(op, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const onPacket = (packet, ws) => {
+        if (packet.op !== op) return;
+        clearTimeout(timer);
+        this.off('packet', onPacket);
+        resolve([packet, ws]);
+      };
+      const timer = setTimeout(() => {
+        this.off('packet', onPacket);
+        reject(new Error(`等待操作码 ${op} 超时`));
+      }, timeout);
+      this.on('packet', onPacket);
+    });
+  }
+
+  // 回应 IDENTIFY，建立会话
+  ready(ws, sessionId = 'SESSION_1') {
+    this.send(ws, { op: OP.DISPATCH, s: 1, t: 'READY', d: { session_id: sessionId } });
+  }
+}
+
+function waitFor(emitter, event, match = () => true, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const listener = (...args) => {
+      if (!match(...args)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolve(args[0]);
+    };
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      reject(new Error(`等待 ${event} 超时`));
+    }, timeout);
+    emitter.on(event, listener);
+  });
+}
+
+describe('Gateway', () => {
+  let server;
+  let gateway;
+
+  const connect = async (options = {}) => {
+    gateway = new Gateway({
+      getUrl: async () => server.url,
+      getToken: async () => 'TEST_TOKEN',
+      intents: 1,
+      reconnectDelay: 10,
+      logger: silentLogger,
+      ...options
+    });
+
+    const identified = server.next(OP.IDENTIFY);
+    await gateway.connect();
+    const [identify, ws] = await identified;
+    assert.strictEqual(identify.d.token, 'QQBot TEST_TOKEN');
+
+    const ready = waitFor(gateway, 'state', state => state === 'ready');
+    server.ready(ws);
+    await ready;
+  };
+
+  afterEach(async () => {
+    gateway?.close();
+    gateway = null;
+    await server.stop();
+  });
+
+  describe('恢复会话', () => {
+    beforeEach(() => {
+      server = new FakeGatewayServer();
+      return server.start();
+    });
+
+    it('断线后使用最后的 seq 发送 RESUME，并在 RESUMED 后恢复心跳', async () => {
+      await connect();
+      server.send(server.ws, { op: OP.DISPATCH, s: 5, t: 'GROUP_AT_MESSAGE_CREATE', d: {} });
+      await waitFor(gateway, 'dispatch', packet => packet.s === 5);
+
+      const resumeSent = server.next(OP.RESUME);
+      server.ws.close(4009);
+      const [resume, ws] = await resumeSent;
+
+      assert.deepStrictEqual(resume.d, { token: 'QQBot TEST_TOKEN', session_id: 'SESSION_1', seq: 5 });
+      assert.strictEqual(gateway.state, 'resuming');
+
+      const resumed = waitFor(gateway, 'dispatch', packet => packet.t === 'RESUMED');
+      const heartbeat = server.next(OP.HEARTBEAT);
+      server.send(ws, { op: OP.DISPATCH, s: 6, t: 'RESUMED', d: '' });
+
+      await resumed;
+      assert.strictEqual(gateway.state, 'ready');
+      assert.strictEqual((await heartbeat)[0].d, 6);
+      assert.strictEqual(server.connections.length, 2);
+    });
+
+    it('会话无效 (op 9, d: false) 时丢弃会话并重新 IDENTIFY', async () => {
+      await connect();
+
+      const resumeSent = server.next(OP.RESUME);
+      server.ws.close(4009);
+      const [, ws] = await resumeSent;
+
+      const identified = server.next(OP.IDENTIFY);
+      server.send(ws, { op: OP.INVALID_SESSION, d: false });
+      const [identify, next] = await identified;
+
+      assert.notStrictEqual(next, ws);
+      assert.strictEqual(identify.d.token, 'QQBot TEST_TOKEN');
+      assert.strictEqual(gateway.session_id, null);
+      assert.strictEqual(gateway.seq, 0);
+    });
+
+    it('不可恢复的关闭码不再重连', async () => {
+      await connect();
+
+      const fatal = waitFor(gateway, 'fatal');
+      server.ws.close(4914);
+
+      assert.strictEqual(await fatal, 4914);
+      assert.strictEqual(gateway.state, 'closed');
+      assert.strictEqual(server.connections.length, 1);
+    });
+  });
+
+  describe('心跳', () => {
+    it('收到 ACK 时保持连接', async () => {
+      server = new FakeGatewayServer({ heartbeatInterval: 20 });
+      await server.start();
+      await connect();
+
+      for (let i = 0; i < 4; i++) await server.next(OP.HEARTBEAT);
+      assert.strictEqual(server.connections.length, 1);
+      assert.strictEqual(gateway.state, 'ready');
+    });
+
+    it('连续未收到 ACK 时强制重连并恢复会话', async () => {
+      server = new FakeGatewayServer({ heartbeatInterval: 20, ack: false });
+      await server.start();
+      await connect({ maxMissedAcks: 2 });
+
+      const [resume, ws] = await server.next(OP.RESUME);
+      assert.strictEqual(resume.d.session_id, 'SESSION_1');
+      assert.notStrictEqual(ws, server.connections[0]);
+      assert.strictEqual(server.packets.filter(p => p.op === OP.HEARTBEAT).length, 2);
+    });
+  });
+});
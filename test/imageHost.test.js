@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { ImageHost, getActiveHost } = require('../imageHost');
+const { FakeClock, PLACEHOLDER_IMAGE } = require('../testing');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('ImageHost', () => {
+  let host;
+  let clock;
+
+  const upload = (url, body = PLACEHOLDER_IMAGE, type = 'image/png') =>
+    fetch(url, { method: 'POST', headers: { 'Content-Type': type }, body });
+
+  // publicUrl 指向本机，便于直接访问返回的图片链接
+  const local = (url) => url.replace('https://img.example.com', `http://127.0.0.1:${host.port}`);
+
+  before(async () => {
+    clock = new FakeClock('2026-01-01T00:00:00Z');
+    clock.install();
+    host = new ImageHost({ port: 0, host: '127.0.0.1', publicUrl: 'https://img.example.com/', ttl: 60, logger: silentLogger });
+    await host.start();
+  });
+
+  after(() => {
+    host.stop();
+    clock.uninstall();
+  });
+
+  it('没有 publicUrl 时拒绝启动', async () => {
+    await assert.rejects(new ImageHost({ logger: silentLogger }).start(), /缺少 publicUrl/);
+    assert.strictEqual(getActiveHost(), host);
+  });
+
+  it('上传后返回不含上传密钥的图片链接', async () => {
+    const res = await upload(host.uploadUrl);
+    const { url, expires_at } = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.match(url, /^https:\/\/img\.example\.com\/images\/[0-9a-f]{32}\.png$/);
+    assert.ok(!url.includes(host.secret));
+    assert.strictEqual(expires_at, Date.parse('2026-01-01T00:01:00Z') / 1000);
+
+    const image = await fetch(local(url));
+    assert.strictEqual(image.headers.get('content-type'), 'image/png');
+    assert.deepStrictEqual(Buffer.from(await image.arrayBuffer()), PLACEHOLDER_IMAGE);
+  });
+
+  it('上传地址需要密钥', async () => {
+    const base = `http://127.0.0.1:${host.port}`;
+
+    assert.strictEqual((await upload(`${base}/upload-image/`)).status, 404);
+    assert.strictEqual((await upload(`${base}/wrong/upload-image/`)).status, 404);
+    assert.strictEqual((await upload(`${base}/images/upload-image/`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/${host.secret}/upload-image/`)).status, 404);
+  });
+
+  it('拒绝不支持的类型与空图片', async () => {
+    assert.strictEqual((await upload(host.uploadUrl, 'text', 'text/plain')).status, 415);
+    assert.strictEqual((await upload(host.uploadUrl, Buffer.alloc(0))).status, 400);
+  });
+
+  it('图片链接到期后失效', async () => {
+    const { url } = await (await upload(host.uploadUrl)).json();
+
+    clock.set('2026-01-01T00:00:59Z');
+    assert.strictEqual((await fetch(local(url))).status, 200);
+
+    clock.set('2026-01-01T00:01:00Z');
+    assert.strictEqual((await fetch(local(url))).status, 404);
+    assert.strictEqual((await fetch(local(url.replace(/[0-9a-f]{32}/, '0'.repeat(32))))).status, 404);
+  });
+});
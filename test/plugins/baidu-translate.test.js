@@ -0,0 +1,45 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+const API_URL = 'https://fanyi-api.baidu.com/api/trans/vip/translate';
+
+describe('translationPlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/baidu-translate'), {
+      http: { [API_URL]: { body: { trans_result: [{ src: '你好', dst: 'Hello' }] } } }
+    });
+  });
+
+  after(() => t.close());
+
+  it('语言列表', async () => {
+    const [reply] = await t.send('语言');
+    assert.match(reply.text, /^【常用语种对照表】/);
+    assert.match(reply.text, /英语\s+-> en/);
+    assert.strictEqual(t.http.requests.length, 0);
+  });
+
+  it('检查目标语言和文本', async () => {
+    assert.deepStrictEqual(await t.send('翻译 #en'), [{ text: '请提供要翻译的文本。格式: #目标语言 文本内容' }]);
+    assert.deepStrictEqual(await t.send('翻译 #xx 你好'), [{ text: '无法识别的语言代码: xx，请使用"语言"指令获取常用语种代码' }]);
+    assert.strictEqual(t.http.requests.length, 0);
+  });
+
+  it('调用翻译接口', async () => {
+    assert.deepStrictEqual(await t.send('/翻译 #英语 你好'), [{ text: 'Hello' }]);
+
+    const query = new URL(t.http.requests.at(-1).url).searchParams;
+    assert.strictEqual(query.get('q'), '你好');
+    assert.strictEqual(query.get('from'), 'auto');
+    assert.strictEqual(query.get('to'), 'en');
+  });
+
+  it('接口返回错误', async () => {
+    t.http.routes[API_URL] = { body: { error_code: '54001' } };
+    assert.deepStrictEqual(await t.send('翻译 你好'), [{ text: '插件处理出错' }]);
+  });
+});
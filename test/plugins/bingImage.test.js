@@ -0,0 +1,32 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+const API_URL = 'https://cn.bing.com/hp/api/model';
+
+describe('bingImagePlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/bingImage'), { http: {} });
+  });
+
+  after(() => t.close());
+
+  it('返回今日壁纸地址', async () => {
+    t.http.routes[API_URL] = {
+      body: { MediaContents: [{ ImageContent: { Image: { Url: '/th?id=OHR.Test_1920x1080.webp' } } }] }
+    };
+
+    assert.deepStrictEqual(await t.send('/壁纸'), [{ text: '今日 Bing 壁纸', image: 'https://cn.bing.com/th?id=OHR.Test_1920x1080.webp' }]);
+  });
+
+  it('接口异常', async () => {
+    t.http.routes[API_URL] = { body: {} };
+    assert.deepStrictEqual(await t.send('bing'), [{ text: '获取 Bing 壁纸时发生了一些错误' }]);
+
+    t.http.routes[API_URL] = () => { throw new Error('ECONNRESET'); };
+    assert.deepStrictEqual(await t.send('bing'), [{ text: '获取 Bing 壁纸时发生了一些错误' }]);
+  });
+});
@@ -0,0 +1,43 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+describe('dailyLuckPlugin', () => {
+  let t;
+
+  beforeEach(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/daily-luck'), { now: '2025-01-01T12:00:00+08:00' });
+  });
+
+  afterEach(() => t.close());
+
+  it('同一天内结果不变，并保存在 ctx.storage 中', async () => {
+    const [first] = await t.send('/今日人品');
+    assert.match(first.text, /你今天的人品是：\d+/);
+
+    t.clock.set('2025-01-01T20:00:00+08:00');
+    assert.deepStrictEqual(await t.send('今日人品'), [first]);
+    assert.deepStrictEqual(t.storage.keys(), ['TEST_USER']);
+  });
+
+  it('第二天重新生成并清理过期结果', async () => {
+    await t.send('/今日人品');
+    const { timestamp } = t.storage.get('TEST_USER');
+
+    t.clock.set('2025-01-02T12:00:00+08:00');
+    await t.send('/今日人品', { openid: 'OTHER_USER' });
+    assert.deepStrictEqual(t.storage.keys(), ['OTHER_USER']);
+
+    await t.send('/今日人品');
+    assert.notStrictEqual(t.storage.get('TEST_USER').timestamp, timestamp);
+  });
+
+  it('删除缓存', async () => {
+    assert.deepStrictEqual(await t.send('/今日人品 删除缓存'), [{ text: '您当前没有可清除的缓存记录' }]);
+
+    await t.send('/今日人品');
+    assert.deepStrictEqual(await t.send('/今日人品 删除缓存'), [{ text: '已清除您今日的运势缓存' }]);
+    assert.strictEqual(t.storage.get('TEST_USER'), undefined);
+  });
+});
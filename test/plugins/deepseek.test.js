@@ -0,0 +1,48 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester, PLACEHOLDER_IMAGE } = require('../../testing');
+
+const API_BASE = 'https://api.deepseek.com';
+
+describe('deepseekPlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/deepseek'), {
+      http: {
+        [`${API_BASE}/chat/completions`]: { body: { choices: [{ message: { content: '# 你好' } }] } },
+        [`${API_BASE}/user/balance`]: { body: { is_available: true, balance_infos: [{ total_balance: '10.00' }] } }
+      }
+    });
+  });
+
+  after(() => t.close());
+
+  it('对话结果转为图片', async () => {
+    assert.deepStrictEqual(await t.send('/chat 你好'), [{ text: ' ', image: PLACEHOLDER_IMAGE }]);
+    assert.deepStrictEqual(t.renders.at(-1), { type: 'markdown', source: '# 你好', options: undefined });
+
+    const request = t.http.requests.at(-1);
+    const body = JSON.parse(request.body);
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(body.model, 'deepseek-chat');
+    assert.ok(body.messages.at(-1).content.startsWith('你好'));
+  });
+
+  it('chatr1-w 使用推理模型并加宽图片', async () => {
+    await t.send('chatr1-w 你好');
+
+    assert.strictEqual(JSON.parse(t.http.requests.at(-1).body).model, 'deepseek-reasoner');
+    assert.deepStrictEqual(t.renders.at(-1).options, { imgOptions: { width: 1080 } });
+  });
+
+  it('查询余额', async () => {
+    assert.deepStrictEqual(await t.send('/deepseek'), [{ text: '服务可用：\n剩余余额：￥10.00' }]);
+  });
+
+  it('接口返回错误', async () => {
+    t.http.routes[`${API_BASE}/user/balance`] = { status: 401, body: { error: { message: 'Authentication Fails' } } };
+    assert.deepStrictEqual(await t.send('deepseek'), [{ text: 'DeepSeek 服务暂时不可用' }]);
+  });
+});
@@ -0,0 +1,15 @@
+const path = require('path');
+const assert = require('assert');
+const { test } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+test('defaultPlugin 回复未匹配的指令', async () => {
+  const t = await createPluginTester(path.join(__dirname, '../../plugins/default'));
+
+  try {
+    assert.deepStrictEqual(await t.send('随便 说点什么'), [{ text: '你好，TEST_USER！你说的是: 随便 说点什么' }]);
+    assert.deepStrictEqual(await t.send('在吗', { openid: 'OTHER_USER', private: true }), [{ text: '你好，OTHER_USER！你说的是: 在吗 ' }]);
+  } finally {
+    await t.close();
+  }
+});
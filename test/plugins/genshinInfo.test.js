@@ -0,0 +1,31 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester, PLACEHOLDER_IMAGE } = require('../../testing');
+
+describe('genshinPlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/genshinInfo'));
+  });
+
+  after(() => t.close());
+
+  it('按角色筛选语录', async () => {
+    const [reply] = await t.send('原神语录 珊瑚宫心海');
+    assert.match(reply.text, /^【珊瑚宫心海】\n/);
+  });
+
+  it('武器、圣遗物、角色生成图片', async () => {
+    for (const command of ['原神武器', '原神圣遗物']) {
+      const [reply] = await t.send(command);
+      assert.ok(reply.image, command);
+    }
+
+    assert.deepStrictEqual(await t.send('原神角色 七七'), [{ text: '角色：七七', image: PLACEHOLDER_IMAGE }]);
+    assert.deepStrictEqual(await t.send('原神角色故事 七七'), [{ text: '七七的角色故事', image: PLACEHOLDER_IMAGE }]);
+    assert.strictEqual(t.renders.length, 4);
+    assert.match(t.renders.at(-1).source, /# 七七 · 角色故事/);
+  });
+});
@@ -0,0 +1,45 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester, PLACEHOLDER_IMAGE } = require('../../testing');
+const config = require('../../plugins/hot-search/config');
+
+const BASE_URL = config.BASE_URL;
+
+describe('hotSearchPlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/hot-search'), {
+      http: {
+        [`${BASE_URL}/all`]: { body: { code: 200, routes: [{ name: 'weibo', path: '/weibo' }] } },
+        [`${BASE_URL}/weibo`]: {
+          body: {
+            code: 200,
+            title: '微博',
+            updateTime: '2025-01-01T12:00:00+08:00',
+            data: [{ title: '热搜一', hot: 1234567 }, { title: '热搜二', hot: 999 }]
+          }
+        }
+      }
+    });
+  });
+
+  after(() => t.close());
+
+  it('平台列表', async () => {
+    assert.deepStrictEqual(await t.send('热搜'), [{ text: '📊 可用热搜平台列表', image: PLACEHOLDER_IMAGE }]);
+    assert.match(t.renders.at(-1).source, /- 微博\n/);
+    assert.strictEqual(t.http.requests.length, 0);
+  });
+
+  it('平台热搜榜', async () => {
+    assert.deepStrictEqual(await t.send('/热搜 微博'), [{ text: '🔥 微博 热搜榜', image: PLACEHOLDER_IMAGE }]);
+    assert.match(t.renders.at(-1).source, /\| 1 \| 热搜一 \| 1\.2M \|/);
+    assert.deepStrictEqual(t.http.requests.map(r => r.url), [`${BASE_URL}/all`, `${BASE_URL}/weibo`]);
+  });
+
+  it('未知平台', async () => {
+    assert.deepStrictEqual(await t.send('热搜 不存在'), [{ text: '处理热搜请求时出错: 未找到平台: 不存在' }]);
+  });
+});
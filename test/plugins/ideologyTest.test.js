@@ -0,0 +1,55 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+describe('ideologyTest', () => {
+  let t;
+
+  // 当前这一批的题目数
+  const batchSize = () => t.storage.get('TEST_USER').currentBatch.length;
+
+  beforeEach(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/ideologyTest'));
+  });
+
+  afterEach(() => t.close());
+
+  it('逐批作答直到完成', async () => {
+    const [questions] = await t.send('意识形态');
+    assert.ok(questions.image);
+
+    let replies;
+    while (t.sessions.sessions.size) {
+      replies = await t.send(Array(batchSize()).fill('1').join(' '));
+    }
+    assert.match(replies[0].text, /测试完成/);
+    assert.deepStrictEqual(t.storage.keys(), []);
+  });
+
+  it('进度保存在 ctx.storage 中，会话超时后可继续', async () => {
+    await t.send('意识形态');
+    await t.send(Array(batchSize()).fill('1').join(' '));
+    const { answered, currentBatch } = t.storage.get('TEST_USER');
+    assert.strictEqual(answered.length, 5);
+
+    await t.tick(30 * 60 * 1000);
+    assert.strictEqual(t.sessions.sessions.size, 0);
+    await assert.rejects(t.send('1 1 1 1 1'), /不处理指令/);
+
+    const [questions] = await t.send('意识形态');
+    assert.ok(questions.image);
+    assert.strictEqual(t.sessions.sessions.size, 1);
+    assert.deepStrictEqual(t.storage.get('TEST_USER').currentBatch, currentBatch);
+    assert.strictEqual(t.storage.get('TEST_USER').answered.length, 5);
+  });
+
+  it('输入格式错误与中止', async () => {
+    await t.send('/意识形态');
+
+    assert.deepStrictEqual(await t.send('1 2'), [{ text: '输入格式错误！请提供一组-2到2之间的整数，用空格分隔\n输入"中止"可结束测试' }]);
+    assert.deepStrictEqual(await t.send('中止'), [{ text: '测试已中止，进度已清除' }]);
+    assert.deepStrictEqual(t.storage.keys(), []);
+    assert.deepStrictEqual(await t.send('意识形态 中止'), [{ text: '当前没有进行中的测试' }]);
+  });
+});
@@ -0,0 +1,42 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+const API_URL = 'https://api.mcstatus.io/v2/status/java/';
+
+describe('mcStatusPlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/mcStatus'), { http: {} });
+  });
+
+  after(() => t.close());
+
+  it('服务器在线', async () => {
+    t.http.routes[API_URL] = {
+      body: {
+        online: true,
+        version: { name_clean: '1.21' },
+        players: { online: 1, max: 20, list: [{ name_clean: 'Steve', uuid: 'uuid-1' }] },
+        motd: { clean: 'Welcome' }
+      }
+    };
+
+    const [reply] = await t.send('/mc');
+    assert.match(reply.text, /版本：1\.21/);
+    assert.match(reply.text, /在线人数：1\/20/);
+    assert.match(reply.text, /Steve\(uuid-1\)/);
+  });
+
+  it('服务器离线', async () => {
+    t.http.routes[API_URL] = { body: { online: false } };
+    assert.deepStrictEqual(await t.send('mc'), [{ text: '喵呜~~服务器不在线呢~嘻嘻嘻' }]);
+  });
+
+  it('请求失败', async () => {
+    t.http.routes[API_URL] = { status: 502, body: 'Bad Gateway' };
+    assert.deepStrictEqual(await t.send('mc'), [{ text: '无法获取MC服务器状态' }]);
+  });
+});
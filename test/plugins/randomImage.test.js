@@ -0,0 +1,26 @@
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester } = require('../../testing');
+
+const API_URL = 'http://acg.yaohud.cn/dm/acg.php';
+
+describe('randomImage', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/randomImage'), { http: {} });
+  });
+
+  after(() => t.close());
+
+  it('返回接口给出的图片地址', async () => {
+    t.http.routes[API_URL] = { body: { code: '200', acgurl: 'https://example.com/acg.jpg' } };
+    assert.deepStrictEqual(await t.send('/image'), [{ text: '✨ 今日随机二次元图片', image: 'https://example.com/acg.jpg' }]);
+  });
+
+  it('接口返回错误', async () => {
+    t.http.routes[API_URL] = { body: { code: '500' } };
+    assert.deepStrictEqual(await t.send('image'), [{ text: '图片获取失败，请稍后再试~' }]);
+  });
+});
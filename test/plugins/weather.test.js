@@ -0,0 +1,64 @@
+const path = require('path');
+const zlib = require('zlib');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { createPluginTester } = require('../../testing');
+const config = require('../../plugins/weather/config');
+
+const API_HOST = config.WEATHER_API_HOST;
+
+const now = {
+  code: '200',
+  now: { obsTime: '2025-01-01T12:00+08:00', text: '晴', temp: '5', feelsLike: '2', windDir: '北风', windScale: '3', humidity: '30', vis: '10' }
+};
+const daily = {
+  code: '200',
+  daily: [
+    { fxDate: '2025-01-01', textDay: '晴', textNight: '多云', tempMin: '-3', tempMax: '6' },
+    { fxDate: '2025-01-02', textDay: '多云', textNight: '阴', tempMin: '-2', tempMax: '5' },
+    { fxDate: '2025-01-03', textDay: '小雪', textNight: '阴', tempMin: '-5', tempMax: '1' }
+  ]
+};
+
+describe('weatherPlugin', () => {
+  let t;
+
+  before(async () => {
+    t = await createPluginTester(path.join(__dirname, '../../plugins/weather'), {
+      http: {
+        [`${API_HOST}/geo/v2/city/lookup`]: ({ url }) => {
+          const location = new URL(url).searchParams.get('location');
+          return { body: location === '北京' ? { code: '200', location: [{ id: '101010100', name: '北京' }] } : { code: '404' } };
+        },
+        // 接口默认返回 gzip 压缩的数据
+        [`${API_HOST}/v7/weather/now`]: { headers: { 'Content-Encoding': 'gzip' }, body: zlib.gzipSync(JSON.stringify(now)) },
+        [`${API_HOST}/v7/weather/3d`]: { body: daily }
+      }
+    });
+  });
+
+  after(() => t.close());
+
+  it('默认查询北京', async () => {
+    const [reply] = await t.send('天气');
+
+    assert.match(reply.text, /北京：当前天气: 晴/);
+    assert.match(reply.text, /温度: 5℃ \| 体感: 2℃/);
+    assert.match(reply.text, /2025-01-03 小雪/);
+
+    const locations = t.http.requests.map(r => new URL(r.url).searchParams.get('location'));
+    assert.deepStrictEqual(locations, ['北京', '101010100', '101010100']);
+  });
+
+  it('未找到城市', async () => {
+    const [reply] = await t.send('/weather 不存在');
+    assert.match(reply.text, /^⚠️ 天气查询失败: 城市查询失败: 未找到匹配的城市/);
+  });
+
+  it('接口状态码错误', async () => {
+    t.http.routes[`${API_HOST}/v7/weather/3d`] = { status: 403 };
+
+    const [reply] = await t.send('天气 北京');
+    assert.match(reply.text, /^⚠️ 天气查询失败: /);
+  });
+});
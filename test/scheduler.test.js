@@ -0,0 +1,242 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const { parseCron, nextRun, Scheduler } = require('../scheduler');
+const { createPluginContext, PluginManager } = require('../pluginManager');
+const { Storage } = require('../storage');
+const { FakeClock, createPluginTester } = require('../testing');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// 测试插件：每天 9 点向群推送早安，在临时目录中生成
+const FIXTURE_PLUGIN = {
+  'manifest.json': JSON.stringify({ name: 'morning', version: 1.0, mainExport: './main', processingTypes: ['早安'] }),
+  'main.js': `module.exports = {
+  morning: {
+    async init() {
+      this.ctx.schedule('0 9 * * *', async ({ scheduledAt }) => {
+        await this.ctx.send({ groupId: 'G1' }, \`早安 \${scheduledAt.toISOString()}\`);
+      }, { name: 'morning', timezone: 'Asia/Shanghai' });
+    },
+    async main() {
+      return this.ctx.jobs().map(job => job.nextRun.toISOString()).join();
+    }
+  }
+};
+`
+};
+
+function writeFixture(root) {
+  const dir = path.join(root, 'morning');
+  fs.mkdirSync(dir);
+  for (const [file, content] of Object.entries(FIXTURE_PLUGIN)) fs.writeFileSync(path.join(dir, file), content);
+  return dir;
+}
+
+const at = (text, cron, timezone) => new Date(nextRun(parseCron(cron), Date.parse(text), timezone)).toISOString();
+
+describe('parseCron', () => {
+  it('解析列表、范围与步长', () => {
+    const cron = parseCron('0,30 9-17/4 1 */3 1-5');
+
+    assert.deepStrictEqual([...cron.minute], [0, 30]);
+    assert.deepStrictEqual([...cron.hour], [9, 13, 17]);
+    assert.deepStrictEqual([...cron.day], [1]);
+    assert.deepStrictEqual([...cron.month], [1, 4, 7, 10]);
+    assert.deepStrictEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual([cron.anyDay, cron.anyWeekday], [false, false]);
+  });
+
+  it('周日可写作 0 或 7，支持 @daily 等简写', () => {
+    assert.deepStrictEqual([...parseCron('0 0 * * 7').weekday], [0]);
+    assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+    assert.deepStrictEqual(parseCron(' @hourly '), parseCron('0 * * * *'));
+  });
+
+  it('拒绝无效的表达式', () => {
+    assert.throws(() => parseCron('* * * *'), /5 个字段/);
+    assert.throws(() => parseCron('60 * * * *'), /超出范围/);
+    assert.throws(() => parseCron('* * 0 * *'), /超出范围/);
+    assert.throws(() => parseCron('5-1 * * * *'), /超出范围/);
+    assert.throws(() => parseCron('*/0 * * * *'), /超出范围/);
+    assert.throws(() => parseCron('a * * * *'), /无效的 cron/);
+  });
+});
+
+describe('nextRun', () => {
+  it('按时区计算，@daily 为当地 0 点', () => {
+    assert.strictEqual(at('2026-03-07T12:00:00+08:00', '@daily', 'Asia/Shanghai'), '2026-03-07T16:00:00.000Z');
+    assert.strictEqual(at('2026-03-07T12:00:00Z', '@daily', 'UTC'), '2026-03-08T00:00:00.000Z');
+  });
+
+  it('起始时间本身不计入', () => {
+    assert.strictEqual(at('2026-03-07T09:00:00Z', '0 9 * * *', 'UTC'), '2026-03-08T09:00:00.000Z');
+    assert.strictEqual(at('2026-03-07T08:59:30Z', '0 9 * * *', 'UTC'), '2026-03-07T09:00:00.000Z');
+  });
+
+  it('日与周同时限定时满足其一即可', () => {
+    // 2026-03-01 为周日：10 号或周五
+    const runs = [];
+    let time = Date.parse('2026-03-01T00:00:00Z');
+    for (let i = 0; i < 3; i++) runs.push(new Date(time = nextRun(parseCron('0 0 10 * 5'), time, 'UTC')).toISOString());
+
+    assert.deepStrictEqual(runs, ['2026-03-06T00:00:00.000Z', '2026-03-10T00:00:00.000Z', '2026-03-13T00:00:00.000Z']);
+    assert.strictEqual(at('2026-03-01T00:00:00Z', '0 0 * * 5', 'UTC'), '2026-03-06T00:00:00.000Z');
+    assert.strictEqual(at('2026-03-01T00:00:00Z', '0 0 10 * *', 'UTC'), '2026-03-10T00:00:00.000Z');
+  });
+
+  it('跨越夏令时切换（当天 23 或 25 小时）', () => {
+    // 2026-03-08 开始夏令时，2026-11-01 结束
+    assert.strictEqual(at('2026-03-07T00:00:00-05:00', '30 0 * * 1', 'America/New_York'), '2026-03-09T04:30:00.000Z');
+    assert.strictEqual(at('2026-03-07T00:00:00-05:00', '30 0 9 3 *', 'America/New_York'), '2026-03-09T04:30:00.000Z');
+    assert.strictEqual(at('2026-03-07T00:00:00-05:00', '30 2 * * *', 'America/New_York'), '2026-03-07T07:30:00.000Z');
+    assert.strictEqual(at('2026-03-07T03:00:00-05:00', '30 2 * * *', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+    assert.strictEqual(at('2026-10-31T00:00:00-04:00', '30 0 * * 1', 'America/New_York'), '2026-11-02T05:30:00.000Z');
+  });
+
+  it('五年内没有匹配时返回 null', () => {
+    assert.strictEqual(nextRun(parseCron('0 0 31 2 *'), Date.parse('2026-01-01T00:00:00Z'), 'UTC'), null);
+  });
+});
+
+describe('Scheduler', () => {
+  let clock;
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    clock = new FakeClock('2026-01-01T00:30:00Z');
+    clock.install();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qybot-schedule-'));
+    file = path.join(dir, 'schedule.json');
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // 记录 01:00 为下次执行时间后停机，05:30 重启
+  const restart = async (missed) => {
+    const before = new Scheduler({ file, timezone: 'UTC', timers: false, logger: silentLogger });
+    before.schedule('plugin', '0 * * * *', () => {}, { name: 'hourly' });
+    before.close();
+
+    clock.set('2026-01-01T05:30:00Z');
+    const runs = [];
+    const scheduler = new Scheduler({ file, timezone: 'UTC', timers: false, logger: silentLogger });
+    const job = scheduler.schedule('plugin', '0 * * * *', (run) => runs.push(run), { name: 'hourly', missed });
+    await new Promise(setImmediate);
+    scheduler.close();
+
+    return {
+      nextRun: job.nextRun.toISOString(),
+      runs: runs.map(({ scheduledAt, missed }) => [scheduledAt.toISOString().slice(11, 16), missed])
+    };
+  };
+
+  it('错过执行：skip 跳过', async () => {
+    assert.deepStrictEqual(await restart('skip'), { nextRun: '2026-01-01T06:00:00.000Z', runs: [] });
+  });
+
+  it('错过执行：once 补执行最近一次', async () => {
+    assert.deepStrictEqual(await restart('once'), { nextRun: '2026-01-01T06:00:00.000Z', runs: [['05:00', true]] });
+  });
+
+  it('错过执行：all 逐次补执行', async () => {
+    const { runs } = await restart('all');
+    assert.deepStrictEqual(runs, [['01:00', true], ['02:00', true], ['03:00', true], ['04:00', true], ['05:00', true]]);
+  });
+
+  it('cron 表达式变更后不补执行', async () => {
+    const before = new Scheduler({ file, timezone: 'UTC', timers: false, logger: silentLogger });
+    before.schedule('plugin', '0 * * * *', () => {}, { name: 'job' });
+    before.close();
+
+    clock.set('2026-01-01T05:30:00Z');
+    let count = 0;
+    const scheduler = new Scheduler({ file, timezone: 'UTC', timers: false, logger: silentLogger });
+    const job = scheduler.schedule('plugin', '0 */2 * * *', () => count++, { name: 'job', missed: 'all' });
+    await new Promise(setImmediate);
+
+    assert.strictEqual(count, 0);
+    assert.strictEqual(job.nextRun.toISOString(), '2026-01-01T06:00:00.000Z');
+  });
+
+  it('runDue 按计划时间依次执行到期任务', async () => {
+    const scheduler = new Scheduler({ timezone: 'UTC', timers: false, logger: silentLogger });
+    const runs = [];
+    scheduler.schedule('a', '0 * * * *', ({ scheduledAt }) => runs.push(`a ${scheduledAt.toISOString().slice(11, 16)}`));
+    scheduler.schedule('b', '30 1 * * *', ({ scheduledAt }) => runs.push(`b ${scheduledAt.toISOString().slice(11, 16)}`));
+
+    const clockTimes = [];
+    await scheduler.runDue(Date.parse('2026-01-01T02:00:00Z'), time => clockTimes.push(time));
+
+    assert.deepStrictEqual(runs, ['a 01:00', 'b 01:30', 'a 02:00']);
+    assert.deepStrictEqual(clockTimes.map(time => new Date(time).toISOString().slice(11, 16)), ['01:00', '01:30', '02:00']);
+    assert.deepStrictEqual(scheduler.list().map(job => job.nextRun.toISOString()), ['2026-01-01T03:00:00.000Z', '2026-01-02T01:30:00.000Z']);
+  });
+
+  it('同名任务不能重复注册，未命名的任务自动编号', () => {
+    const scheduler = new Scheduler({ timezone: 'UTC', timers: false, logger: silentLogger });
+    scheduler.schedule('plugin', '@daily', () => {}, { name: 'job' });
+
+    assert.throws(() => scheduler.schedule('plugin', '@daily', () => {}, { name: 'job' }), /已存在/);
+    assert.strictEqual(scheduler.schedule('plugin', '@hourly', () => {}).id, 'plugin:@hourly');
+    assert.strictEqual(scheduler.schedule('plugin', '@hourly', () => {}).id, 'plugin:@hourly#2');
+    assert.throws(() => scheduler.schedule('plugin', '@daily', () => {}, { missed: 'later' }), /无效的 missed/);
+  });
+});
+
+describe('插件的定时任务', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qybot-schedule-plugins-'));
+    writeFixture(root);
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it('PluginTester.tick 推进时钟并执行期间到期的任务', async () => {
+    const t = await createPluginTester(path.join(root, 'morning'), { now: '2026-01-01T08:00:00+08:00' });
+
+    try {
+      await t.tick(60 * 60 * 1000 - 1);
+      assert.deepStrictEqual(t.sent, []);
+
+      await t.tick(2 * 24 * 60 * 60 * 1000 + 1);
+      assert.deepStrictEqual(t.sent, [
+        { target: { groupId: 'G1' }, message: { text: '早安 2026-01-01T01:00:00.000Z' } },
+        { target: { groupId: 'G1' }, message: { text: '早安 2026-01-02T01:00:00.000Z' } },
+        { target: { groupId: 'G1' }, message: { text: '早安 2026-01-03T01:00:00.000Z' } }
+      ]);
+      assert.deepStrictEqual(await t.send('早安'), [{ text: '2026-01-04T01:00:00.000Z' }]);
+    } finally {
+      await t.close();
+    }
+  });
+
+  it('插件卸载时取消任务，重载时重新注册', async () => {
+    const scheduler = new Scheduler({ timezone: 'UTC', timers: false, logger: silentLogger });
+    const ctx = createPluginContext({ utils: {}, send: async () => ({ ok: true }), token: () => null });
+    const manager = new PluginManager(ctx, { pluginDir: root, scheduler, storage: () => new Storage() });
+
+    try {
+      await manager.loadPlugins();
+      assert.deepStrictEqual(scheduler.list().map(job => job.id), ['morning:morning']);
+
+      await manager.loadPlugins();
+      assert.deepStrictEqual(scheduler.list().map(job => job.id), ['morning:morning']);
+
+      fs.rmSync(path.join(root, 'morning'), { recursive: true });
+      await manager.loadPlugins();
+      assert.deepStrictEqual(scheduler.list(), []);
+    } finally {
+      await manager.cleanup();
+      scheduler.close();
+    }
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { describe, it, before, after, afterEach } = require('node:test');
+const { createPluginTester } = require('../testing');
+
+// 测试插件，在临时目录中生成：register 使用 ctx.prompt 一问一答，game 使用 ctx.sessions 保存进度
+const FIXTURE_PLUGINS = {
+  register: {
+    'manifest.json': JSON.stringify({ name: 'register', version: 1.0, mainExport: './main', processingTypes: ['登记', '/登记'] }),
+    'main.js': `module.exports = {
+  register: {
+    async main() {
+      try {
+        const { content: name } = await this.ctx.prompt('请输入昵称', { timeout: 60 * 1000 });
+        // 测试通过 hold 让插件停在两次 prompt 之间
+        if (this.hold) await this.hold;
+        const { content: age } = await this.ctx.prompt(\`你好，\${name}，请输入年龄\`);
+        return \`已登记：\${name}，\${age} 岁\`;
+      } catch (e) {
+        if (e instanceof this.ctx.errors.SessionEndedError) this.ended = e.reason;
+        throw e;
+      }
+    }
+  }
+};
+`
+  },
+  game: {
+    'manifest.json': JSON.stringify({ name: 'game', version: 1.0, mainExport: './main', processingTypes: ['游戏', '/游戏'] }),
+    'main.js': `module.exports = {
+  game: {
+    async main(msgType, msgContent, senderOpenid, isPrivate, { session }) {
+      if (!session) {
+        this.ctx.sessions.start({ data: { step: 0 } });
+        return '游戏开始';
+      }
+      session.data.step++;
+      return \`第 \${session.data.step} 步\`;
+    }
+  }
+};
+`
+  }
+};
+
+describe('会话与 ctx.prompt', () => {
+  let root;
+  let t;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'qybot-session-'));
+    for (const [name, files] of Object.entries(FIXTURE_PLUGINS)) {
+      fs.mkdirSync(path.join(root, name));
+      for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(root, name, file), content);
+    }
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  afterEach(() => t.close());
+
+  const load = async (name) => {
+    t = await createPluginTester(path.join(root, name), { now: '2026-01-01T12:00:00+08:00' });
+    return t;
+  };
+
+  it('prompt 发出问题，用户回答后返回结果', async () => {
+    await load('register');
+
+    assert.deepStrictEqual(await t.send('/登记'), [{ text: '请输入昵称' }]);
+    assert.deepStrictEqual(await t.send('小明'), [{ text: '你好，小明，请输入年龄' }]);
+    assert.deepStrictEqual(await t.send('18'), [{ text: '已登记：小明，18 岁' }]);
+    assert.strictEqual(t.sessions.sessions.size, 0);
+  });
+
+  it('其他用户的消息不进入会话', async () => {
+    await load('register');
+
+    await t.send('/登记');
+    await assert.rejects(t.send('小红', { openid: 'OTHER_USER' }), /不处理指令/);
+    assert.deepStrictEqual(await t.send('小明'), [{ text: '你好，小明，请输入年龄' }]);
+  });
+
+  it('prompt 超时时抛出 SessionEndedError，之后的消息不再进入会话', async () => {
+    await load('register');
+
+    await t.send('/登记');
+    await t.tick(60 * 1000 - 1);
+    assert.strictEqual(t.sessions.waiting, 1);
+
+    await t.tick(1);
+    await new Promise(setImmediate);
+    assert.strictEqual(t.plugin.ended, 'timeout');
+    assert.strictEqual(t.sessions.sessions.size, 0);
+    await assert.rejects(t.send('小明'), /不处理指令/);
+  });
+
+  it('插件处理中收到的消息暂存，交给下一次 prompt', async () => {
+    await load('register');
+    let release;
+    t.plugin.hold = new Promise(resolve => { release = resolve; });
+
+    await t.send('/登记');
+    const answered = t.send('小明');
+    // 插件仍停在两次 prompt 之间，这条消息暂存在会话中
+    const queued = await t.send('18');
+    assert.deepStrictEqual(queued, []);
+    assert.strictEqual(t.sessions.waiting, 0);
+
+    release();
+    // 问题回复“小明”，最终结果回复用户最新的消息“18”
+    assert.deepStrictEqual(await answered, [{ text: '你好，小明，请输入年龄' }]);
+    assert.deepStrictEqual(queued, [{ text: '已登记：小明，18 岁' }]);
+    assert.strictEqual(t.sessions.sessions.size, 0);
+  });
+
+  it('会话在插件重载后保留，交给重载后的插件', async () => {
+    await load('game');
+    // 从临时目录重新加载插件，与机器人热重载相同
+    t.manager.pluginDir = root;
+
+    assert.deepStrictEqual(await t.send('/游戏'), [{ text: '游戏开始' }]);
+    assert.deepStrictEqual(await t.send('1'), [{ text: '第 1 步' }]);
+
+    const before = t.manager.loadedPlugins.get('game');
+    await t.manager.loadPlugins();
+    assert.notStrictEqual(t.manager.loadedPlugins.get('game'), before);
+    assert.deepStrictEqual(await t.send('2'), [{ text: '第 2 步' }]);
+  });
+
+  it('插件被删除时会话随之结束', async () => {
+    await load('game');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qybot-session-empty-'));
+    t.manager.pluginDir = dir;
+
+    try {
+      await t.send('/游戏');
+      await t.manager.loadPlugins();
+
+      assert.strictEqual(t.sessions.sessions.size, 0);
+      await assert.rejects(t.send('1'), /不处理指令/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
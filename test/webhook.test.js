@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+const { OP, deriveKeyPair, sign, verify, WebhookServer } = require('../webhook');
+
+const SECRET = 'qybotTestSecret';
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// RFC 8032 7.1 TEST 2：种子、公钥、消息 0x72 ('r') 与签名
+const RFC8032 = {
+  seed: '4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb',
+  publicKey: '3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c',
+  message: 'r',
+  signature: '92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00'
+};
+
+const rawPublicKey = (key) => Buffer.from(key.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+
+describe('签名', () => {
+  it('sign / verify 符合 RFC 8032 测试向量', () => {
+    const jwk = {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      d: Buffer.from(RFC8032.seed, 'hex').toString('base64url'),
+      x: Buffer.from(RFC8032.publicKey, 'hex').toString('base64url')
+    };
+    const privateKey = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+    const publicKey = crypto.createPublicKey(privateKey);
+
+    assert.strictEqual(sign(privateKey, RFC8032.message), RFC8032.signature);
+    // verify 校验的内容为 时间戳 + 请求体
+    assert.strictEqual(verify(publicKey, RFC8032.signature, RFC8032.message, Buffer.alloc(0)), true);
+    assert.strictEqual(verify(publicKey, RFC8032.signature, 's', Buffer.alloc(0)), false);
+  });
+
+  it('deriveKeyPair 将密钥重复拼接至 32 字节作为种子', () => {
+    const seed = Buffer.from(SECRET.repeat(4).slice(0, 32));
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([Buffer.from('302e020100300506032b657004220420', 'hex'), seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+
+    const keys = deriveKeyPair(SECRET);
+    assert.strictEqual(rawPublicKey(keys.publicKey), rawPublicKey(crypto.createPublicKey(privateKey)));
+    assert.strictEqual(rawPublicKey(deriveKeyPair(SECRET.repeat(4).slice(0, 32)).publicKey), rawPublicKey(keys.publicKey));
+    assert.throws(() => deriveKeyPair(''), /缺少机器人密钥/);
+  });
+
+  it('verify 拒绝缺失、格式错误或不匹配的签名', () => {
+    const { privateKey, publicKey } = deriveKeyPair(SECRET);
+    const body = Buffer.from('{"op":0}');
+    const signature = sign(privateKey, `1700000000${body}`);
+
+    assert.strictEqual(verify(publicKey, signature, '1700000000', body), true);
+    assert.strictEqual(verify(publicKey, undefined, '1700000000', body), false);
+    assert.strictEqual(verify(publicKey, signature, undefined, body), false);
+    assert.strictEqual(verify(publicKey, signature.slice(2), '1700000000', body), false);
+    assert.strictEqual(verify(publicKey, signature, '1700000001', body), false);
+    assert.strictEqual(verify(deriveKeyPair('other').publicKey, signature, '1700000000', body), false);
+  });
+});
+
+describe('WebhookServer', () => {
+  let server;
+  const { privateKey, publicKey } = deriveKeyPair(SECRET);
+  const dispatched = [];
+
+  const post = async (packet, { signed = true, timestamp = '1700000000', headers = {} } = {}) => {
+    const body = JSON.stringify(packet);
+    const res = await fetch(`http://127.0.0.1:${server.port}/qqbot`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(signed && { 'X-Signature-Ed25519': sign(privateKey, `${timestamp}${body}`), 'X-Signature-Timestamp': timestamp }),
+        ...headers
+      },
+      body
+    });
+    return { status: res.status, data: await res.json() };
+  };
+
+  before(async () => {
+    server = new WebhookServer({ secret: SECRET, port: 0, host: '127.0.0.1', path: '/qqbot', logger: silentLogger });
+    server.on('dispatch', (packet) => dispatched.push(packet));
+    await server.connect();
+  });
+
+  after(() => server.close());
+
+  it('响应带签名的回调地址验证', async () => {
+    const { status, data } = await post({ op: OP.CALLBACK_VALIDATION, d: { plain_token: 'PLAIN', event_ts: '1700000000' } });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(data.plain_token, 'PLAIN');
+    assert.strictEqual(verify(publicKey, data.signature, '1700000000', Buffer.from('PLAIN')), true);
+  });
+
+  it('未签名的回调地址验证返回 401，不能借此为任意内容签名', async () => {
+    const forged = JSON.stringify({ op: OP.DISPATCH, t: 'GROUP_AT_MESSAGE_CREATE', d: { content: '/admin' } });
+    const validation = { op: OP.CALLBACK_VALIDATION, d: { plain_token: forged, event_ts: '1700000000' } };
+
+    assert.deepStrictEqual(await post(validation, { signed: false }), { status: 401, data: { error: 'invalid signature' } });
+    assert.strictEqual((await post(validation, { headers: { 'X-Signature-Ed25519': '00'.repeat(64) } })).status, 401);
+    assert.strictEqual(dispatched.length, 0);
+  });
+
+  it('校验事件签名后确认并分发', async () => {
+    const packet = { op: OP.DISPATCH, id: 'EVENT_1', t: 'GROUP_AT_MESSAGE_CREATE', d: { content: 'hello' } };
+
+    assert.deepStrictEqual(await post(packet), { status: 200, data: { op: OP.CALLBACK_ACK, d: 0 } });
+    assert.deepStrictEqual(dispatched, [packet]);
+
+    assert.strictEqual((await post(packet, { signed: false })).status, 401);
+    assert.strictEqual((await post(packet, { headers: { 'X-Signature-Timestamp': '1700000001' } })).status, 401);
+    assert.strictEqual(dispatched.length, 1);
+  });
+});
@@ -0,0 +1,441 @@
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { normalizeEvent, getReplyTarget, parseCommand } = require('./events');
+const { getBaseUrl } = require('./api');
+const { Scheduler } = require('./scheduler');
+const { Storage } = require('./storage');
+const { MessageBuilder } = require('./message');
+const { createPluginContext, PluginManager } = require('./pluginManager');
+const { md2html } = require('./toImg');
+const logger = require('./logger');
+
+// md2img / html2img 返回的占位图片（1x1 PNG）
+const PLACEHOLDER_IMAGE = Buffer.from(
+  '89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f80f00000101000518d84e0000000049454e44ae426082',
+  'hex'
+);
+
+/**
+ * 将插件返回值（或 reply、ctx.send 的参数）规范化为消息数组
+ * 字符串转为 { text }，MessageBuilder 按目标编译，空值忽略
+ * @param {*} message 插件消息
+ * @param {Object} target 发送目标
+ * @returns {Object[]} 消息数组
+ */
+function normalizeReplies(message, target) {
+  if (Array.isArray(message)) return message.flatMap(m => normalizeReplies(m, target));
+  if (!message) return [];
+  if (typeof message === 'string') return message.trim() ? [{ text: message }] : [];
+  if (message instanceof MessageBuilder) return [message.compile(target)];
+  return typeof message === 'object' ? [{ ...message }] : [];
+}
+
+// === 可控时钟 ===
+// 替换全局 Date：new Date() 与 Date.now() 返回设定的时间，仅 set/tick 时前进（不影响 setTimeout）
+class FakeClock {
+  /**
+   * @param {number|string|Date} [now] 初始时间，默认为当前时间
+   */
+  constructor(now = Date.now()) {
+    this.RealDate = Date;
+    this.now = new Date(now).getTime();
+    this.installed = false;
+  }
+
+  install() {
+    if (this.installed) return;
+
+    const clock = this;
+    const RealDate = this.RealDate;
+
+    function FakeDate(...args) {
+      if (!new.target) return new RealDate(clock.now).toString();
+      return new RealDate(...(args.length ? args : [clock.now]));
+    }
+    FakeDate.prototype = RealDate.prototype;
+    FakeDate.now = () => clock.now;
+    FakeDate.parse = RealDate.parse;
+    FakeDate.UTC = RealDate.UTC;
+
+    global.Date = FakeDate;
+    this.installed = true;
+  }
+
+  uninstall() {
+    if (!this.installed) return;
+    global.Date = this.RealDate;
+    this.installed = false;
+  }
+
+  set(time) {
+    this.now = new this.RealDate(time).getTime();
+  }
+}
+
+// === 网络请求拦截 ===
+/**
+ * 拦截 http / https 模块的 get、request，按 URL 前缀返回预设响应，未匹配的请求以错误结束（不会访问网络）
+ * 响应为 { status, headers, body }，body 为对象时按 JSON 返回；也可以是接收请求记录、返回响应的函数，抛出错误模拟网络故障
+ * @param {Object<string, Object|Function>} routes URL 前缀 -> 响应，请求时读取，可随时修改
+ * @returns {{ routes: Object, requests: Object[], restore: Function }} 请求记录 { method, url, headers, body } 与恢复方法
+ */
+function interceptHttp(routes = {}) {
+  const requests = [];
+  const originals = [http, https].map(mod => ({ mod, get: mod.get, request: mod.request }));
+
+  const match = (url) => Object.keys(routes)
+    .filter(prefix => url.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const request = (protocol) => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const [input, extra = {}] = args;
+    const isUrl = typeof input === 'string' || input instanceof URL;
+    const options = isUrl ? extra : input;
+    const url = isUrl
+      ? new URL(input).href
+      : `${protocol}//${options.hostname || options.host || 'localhost'}${options.port ? `:${options.port}` : ''}${options.path || '/'}`;
+
+    const record = { method: (options.method || 'GET').toUpperCase(), url, headers: options.headers || {}, body: '' };
+    const chunks = [];
+    const req = new EventEmitter();
+    let ended = false;
+
+    const respond = async () => {
+      record.body = Buffer.concat(chunks).toString();
+      requests.push(record);
+
+      const prefix = match(url);
+      if (!prefix) return req.emit('error', new Error(`未拦截的请求: ${record.method} ${url}`));
+
+      let route;
+      try {
+        route = typeof routes[prefix] === 'function' ? await routes[prefix](record) : routes[prefix];
+      } catch (e) {
+        return req.emit('error', e);
+      }
+
+      const res = new PassThrough();
+      res.statusCode = route.status || 200;
+      res.headers = Object.fromEntries(Object.entries(route.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+      if (callback) callback(res);
+      req.emit('response', res);
+
+      const body = route.body ?? '';
+      res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    };
+
+    req.write = (chunk) => {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    };
+    req.end = (chunk) => {
+      if (chunk) req.write(chunk);
+      if (!ended) {
+        ended = true;
+        process.nextTick(respond);
+      }
+      return req;
+    };
+    req.setTimeout = (ms, cb) => {
+      if (cb) req.once('timeout', cb);
+      return req;
+    };
+    req.destroy = (err) => {
+      if (err) process.nextTick(() => req.emit('error', err));
+      return req;
+    };
+    return req;
+  };
+
+  for (const { mod } of originals) {
+    const protocol = mod === https ? 'https:' : 'http:';
+    mod.request = request(protocol);
+    mod.get = (...args) => mod.request(...args).end();
+  }
+
+  return {
+    routes,
+    requests,
+    restore() {
+      for (const { mod, get, request } of originals) Object.assign(mod, { get, request });
+    }
+  };
+}
+
+// === 插件测试器 ===
+// 使用框架的 PluginManager 加载插件目录并分发消息（会话、ctx.prompt、按钮前缀与框架一致），只替换运行环境：
+// utils 的图片生成返回占位图片，storage 为内存存储，ctx.send 只记录不发送，定时任务随 tick() 执行。
+// 插件调用 ctx.prompt 等待用户回复时，send() 先返回已发出的问题
+class PluginTester {
+  /**
+   * @param {string} dir 插件目录
+   * @param {Object} [options] 配置
+   * @param {string} [options.openid] 发送者，默认 'TEST_USER'
+   * @param {string} [options.groupId] 群，默认 'TEST_GROUP'
+   * @param {boolean} [options.private] 是否以私聊发送
+   * @param {number|string|Date} [options.now] 初始时间
+   * @param {string} [options.timezone] 定时任务默认时区
+   * @param {Object} [options.storage] 存储的初始数据
+   * @param {string} [options.apiBase] ctx.api 请求的接口地址（如 MockQQServer 的 url），默认为沙箱环境
+   * @param {Object} [options.http] 拦截插件的网络请求，见 interceptHttp，加载时生效，close() 时恢复
+   */
+  constructor(dir, options = {}) {
+    this.dir = path.resolve(dir);
+    this.openid = options.openid || 'TEST_USER';
+    this.groupId = options.groupId || 'TEST_GROUP';
+    this.isPrivate = !!options.private;
+    this.bot = { appId: 'test', name: 'test' };
+
+    this.clock = new FakeClock(options.now);
+    this.httpRoutes = options.http;
+    this.http = null;
+    this.storage = new Storage();
+    Object.assign(this.storage.data, options.storage);
+
+    // ctx.token() 返回的测试令牌
+    this.tokens = {
+      baseUrl: getBaseUrl({ apiBase: options.apiBase, sandBox: !options.apiBase }),
+      getToken: async () => 'TEST_TOKEN',
+      invalidate: () => {}
+    };
+
+    this.sent = [];     // ctx.send 记录 { target, message }
+    this.renders = [];  // 图片生成记录 { type, source, options }
+    this.acks = [];     // 按钮回调的回应码
+    this.waiting = new WeakMap(); // 会话 -> 等待用户回复的处理
+    this.counter = 0;
+    this.plugin = null;
+    this.manifest = null;
+
+    this.scheduler = new Scheduler({ timezone: options.timezone, timers: false, logger });
+    this.manager = new PluginManager(this.createContext(), {
+      scheduler: this.scheduler,
+      storage: () => this.storage
+    });
+    this.sessions = this.manager.sessions;
+  }
+
+  get name() {
+    return this.manifest?.name;
+  }
+
+  nextId(prefix) {
+    return `${prefix}_${++this.counter}`;
+  }
+
+  // 模拟的投递结果，与框架一致：发送数组时返回各条的结果
+  result(message, prefix) {
+    if (Array.isArray(message)) return message.map(item => this.result(item, prefix));
+    return { ok: true, id: this.nextId(prefix), attempts: 1 };
+  }
+
+  // 加载插件并执行 init
+  async load() {
+    this.clock.install();
+    if (this.httpRoutes) this.http = interceptHttp(this.httpRoutes);
+
+    try {
+      this.plugin = await this.manager.addPlugin(this.dir);
+      this.manifest = this.manager.pluginInfo.get(this.plugin).manifest;
+    } catch (e) {
+      this.restore();
+      throw e;
+    }
+    return this;
+  }
+
+  // 共享上下文的模拟实现，插件的 this.ctx 由 PluginManager 在此基础上创建
+  createContext() {
+    const render = (type) => async (source, options) => {
+      this.renders.push({ type, source, options });
+      return PLACEHOLDER_IMAGE;
+    };
+
+    return createPluginContext({
+      utils: {
+        md2html,
+        html2img: render('html'),
+        md2img: render('markdown')
+      },
+      send: async (target, message) => {
+        for (const item of normalizeReplies(message, target)) this.sent.push({ target, message: item });
+        return this.result(message, 'SENT');
+      },
+      token: () => this.tokens
+    });
+  }
+
+  /**
+   * 以当前身份发送一条消息
+   * @param {string} content 消息内容，如 '天气 北京'
+   * @param {Object} [as] 本次使用的身份 { openid, groupId, private }
+   * @returns {Promise<Object[]>} 插件对这条消息的回复（含通过 reply 发送的），规范化为 { text, image, markdown, ... }；
+   *   插件调用 ctx.prompt 等待下一条消息时，返回已发出的问题
+   */
+  async send(content, as = {}) {
+    const parsed = parseCommand(content) || { command: '', args: '' };
+    const replies = [];
+    const event = this.createEvent(content, as);
+    const target = getReplyTarget(event);
+    event.reply = async (message) => {
+      replies.push(...normalizeReplies(message, target));
+      return this.result(message, 'REPLY');
+    };
+
+    // 会话中的消息无需指令前缀
+    const session = this.sessions.match(event);
+    if (!session && !this.manager.plugins.has(parsed.command) && !this.manager.defaultPlugin) {
+      throw new Error(`${this.name} 不处理指令: ${parsed.command}`);
+    }
+
+    // 消息交给等待中的 ctx.prompt 时，等待原来的处理继续
+    const waiting = session?.pending && this.waiting.get(session);
+    const task = this.manager.processMessage(parsed.command, parsed.args, event.openid, event.isPrivate, {
+      bot: this.bot,
+      event,
+      reply: event.reply
+    }).then(event.reply);
+
+    await this.settle(waiting ? Promise.all([waiting, task]) : task, event);
+    return replies;
+  }
+
+  // 等待处理完成，或在处理这条消息的插件调用 ctx.prompt 等待下一条消息时提前返回
+  settle(task, event) {
+    return new Promise((resolve, reject) => {
+      const onPrompt = (session) => {
+        if (this.sessions.current()?.event !== event) return;
+        this.waiting.set(session, task);
+        done();
+      };
+      const done = () => {
+        this.sessions.off('prompt', onPrompt);
+        resolve();
+      };
+
+      this.sessions.on('prompt', onPrompt);
+      task.then(done, (e) => {
+        this.sessions.off('prompt', onPrompt);
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * 点击插件发出的回调按钮
+   * @param {string} data 按钮 data（不含插件名前缀）
+   * @param {Object} [as] 本次使用的身份 { openid, groupId }
+   * @returns {Promise<Object[]>} 插件的回复
+   */
+  async click(data, as = {}) {
+    const event = {
+      ...normalizeEvent({
+        t: 'INTERACTION_CREATE',
+        id: `INTERACTION_CREATE:${this.nextId('EVENT')}`,
+        d: {
+          id: this.nextId('INTERACTION'),
+          chat_type: 1,
+          group_openid: as.groupId || this.groupId,
+          group_member_openid: as.openid || this.openid,
+          timestamp: new Date().toISOString(),
+          data: { resolved: { button_data: `${this.name}:${data}` } }
+        }
+      }),
+      bot: this.bot
+    };
+
+    const target = getReplyTarget(event);
+    const replies = [];
+    event.ack = async (code) => { this.acks.push(code); };
+    event.reply = async (message) => {
+      replies.push(...normalizeReplies(message, target));
+      return this.result(message, 'REPLY');
+    };
+
+    const handled = await this.manager.handleInteraction(event);
+    if (!handled) throw new Error(`${this.name} 缺少 onInteraction 方法`);
+
+    replies.push(...normalizeReplies(handled.retMsg, target));
+    return replies;
+  }
+
+  // 构造与框架一致的消息事件
+  createEvent(content, as) {
+    const openid = as.openid || this.openid;
+    const isPrivate = as.private ?? this.isPrivate;
+    const d = { id: this.nextId('MSG'), content, timestamp: new Date().toISOString() };
+
+    const packet = isPrivate
+      ? { t: 'C2C_MESSAGE_CREATE', d: { ...d, author: { id: openid, user_openid: openid } } }
+      : { t: 'GROUP_AT_MESSAGE_CREATE', d: { ...d, group_openid: as.groupId || this.groupId, author: { id: openid, member_openid: openid } } };
+
+    return { ...normalizeEvent({ ...packet, id: `${packet.t}:${d.id}` }), bot: this.bot };
+  }
+
+  /**
+   * 切换默认身份
+   * @param {Object} as { openid, groupId, private }
+   * @returns {PluginTester} this
+   */
+  as({ openid, groupId, private: isPrivate } = {}) {
+    if (openid) this.openid = openid;
+    if (groupId) this.groupId = groupId;
+    if (isPrivate !== undefined) this.isPrivate = isPrivate;
+    return this;
+  }
+
+  /**
+   * 推进时钟，依次执行期间到期的定时任务，并结束期间超时的会话
+   * @param {number} ms 推进的毫秒数
+   */
+  async tick(ms) {
+    const until = this.clock.now + ms;
+
+    await this.scheduler.runDue(until, (time) => {
+      this.clock.now = time;
+    });
+
+    this.clock.now = until;
+    this.sessions.expire(until);
+  }
+
+  // 执行插件 cleanup 并恢复全局时钟与网络请求
+  async close() {
+    try {
+      await this.manager.cleanup();
+    } finally {
+      this.scheduler.close();
+      this.sessions.clear();
+      this.restore();
+    }
+  }
+
+  restore() {
+    this.clock.uninstall();
+    this.http?.restore();
+    this.http = null;
+  }
+}
+
+/**
+ * 加载插件目录并返回测试器
+ * @param {string} dir 插件目录
+ * @param {Object} [options] 见 PluginTester
+ * @returns {Promise<PluginTester>}
+ */
+function createPluginTester(dir, options) {
+  return new PluginTester(dir, options).load();
+}
+
+module.exports = {
+  PLACEHOLDER_IMAGE,
+  FakeClock,
+  PluginTester,
+  interceptHttp,
+  createPluginTester,
+  normalizeReplies
+};
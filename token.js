@@ -0,0 +1,132 @@
+const { getAccessToken, getBaseUrl } = require('./api');
+const { sleep } = require('./helpers');
+const defaultLogger = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  refreshAhead: 50 * 1000, // 提前刷新时间（QQ 在令牌过期前 60 秒内签发新令牌，期间新旧令牌均有效）
+  retries: 5,              // 单次刷新的最大重试次数
+  retryDelay: 1000,        // 首次重试延迟（毫秒），之后指数退避
+  maxRetryDelay: 60 * 1000 // 最大重试延迟
+};
+
+// === 访问令牌管理 ===
+// 获取、提前刷新并在失败时退避重试；并发的刷新请求合并为一次
+// 实现 api.js 的鉴权接口 (getToken / invalidate / baseUrl)，可直接代替 accessToken 传入接口函数
+class TokenManager {
+  /**
+   * @param {Object} config 机器人配置（appId、secret）
+   * @param {Object} [options] 刷新配置，见 DEFAULT_OPTIONS
+   * @param {Object} [logger] 日志工具
+   */
+  constructor(config, options = {}, logger = defaultLogger) {
+    this.config = config;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.logger = logger;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+    this.refreshTimer = null;
+    this.stopped = false;
+  }
+
+  // 本账号的 OpenAPI 地址（沙箱、正式环境或 apiBase）
+  get baseUrl() {
+    return getBaseUrl(this.config);
+  }
+
+  get valid() {
+    return !!this.token && Date.now() < this.expiresAt;
+  }
+
+  /**
+   * 获取有效的访问令牌（即将过期时先刷新）
+   * @returns {Promise<string>} 访问令牌
+   */
+  async getToken() {
+    if (this.valid && Date.now() < this.expiresAt - this.options.refreshAhead) return this.token;
+    return this.refresh();
+  }
+
+  /**
+   * 标记令牌失效（接口返回鉴权错误时调用），下次 getToken 将重新获取
+   * @param {string} token 失效的令牌
+   */
+  invalidate(token) {
+    if (token === this.token) {
+      this.logger.warn('TOKEN', '访问令牌已失效，重新获取');
+      this.expiresAt = 0;
+    }
+  }
+
+  // 刷新令牌，并发调用共用同一次请求
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.fetchWithRetry().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async fetchWithRetry() {
+    const { retries, retryDelay, maxRetryDelay } = this.options;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        this.logger.info('TOKEN', '获取访问令牌...');
+        const data = await getAccessToken(this.config);
+        if (!data?.access_token) throw new Error(`响应缺少 access_token: ${JSON.stringify(data)}`);
+
+        this.token = data.access_token;
+        this.expiresAt = Date.now() + Number(data.expires_in) * 1000;
+
+        this.logger.info('TOKEN', '获取Token成功');
+        this.logger.debug('TOKEN', `有效期: ${data.expires_in}秒`);
+        this.scheduleRefresh();
+        return this.token;
+      } catch (error) {
+        if (attempt > retries || this.stopped) {
+          this.logger.error('TOKEN', `获取Token失败: ${error.message}`);
+          throw error;
+        }
+
+        const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+        this.logger.warn('TOKEN', `获取Token失败: ${error.message}，${delay}ms 后第 ${attempt} 次重试`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // 安排下一次提前刷新；刷新彻底失败时退避后继续尝试，不会停止
+  scheduleRefresh(delay = this.expiresAt - this.options.refreshAhead - Date.now()) {
+    if (this.stopped) return;
+    clearTimeout(this.refreshTimer);
+
+    this.refreshTimer = setTimeout(async () => {
+      try {
+        await this.refresh();
+      } catch {
+        this.scheduleRefresh(this.options.maxRetryDelay);
+      }
+    }, Math.max(0, delay));
+    this.refreshTimer.unref();
+
+    this.logger.debug('TOKEN', `安排 ${Math.floor(Math.max(0, delay) / 1000)} 秒后刷新令牌`);
+  }
+
+  // 首次获取令牌并开始定时刷新
+  async start() {
+    this.stopped = false;
+    await this.refresh();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+}
+
+module.exports = {
+  TokenManager
+};
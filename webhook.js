@@ -0,0 +1,173 @@
+const EventEmitter = require('events');
+const http = require('http');
+const crypto = require('crypto');
+const defaultLogger = require('./logger');
+const { readBody, sendJson } = require('./helpers');
+
+// 回调操作码
+const OP = {
+  DISPATCH: 0,
+  CALLBACK_ACK: 12,
+  CALLBACK_VALIDATION: 13
+};
+
+// Ed25519 私钥的 PKCS#8 DER 前缀，后接 32 字节种子
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * 由机器人密钥派生 Ed25519 密钥对（密钥重复拼接至 32 字节作为种子）
+ * @param {string} secret 机器人 AppSecret
+ * @returns {{privateKey: crypto.KeyObject, publicKey: crypto.KeyObject}} 密钥对
+ */
+function deriveKeyPair(secret) {
+  if (!secret) throw new Error('缺少机器人密钥，无法生成签名密钥');
+
+  let seed = secret;
+  while (seed.length < 32) seed = seed.repeat(2);
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(seed.slice(0, 32))]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+}
+
+/**
+ * 计算签名
+ * @param {crypto.KeyObject} privateKey 私钥
+ * @param {string} message 待签名内容
+ * @returns {string} 十六进制签名
+ */
+function sign(privateKey, message) {
+  return crypto.sign(null, Buffer.from(message), privateKey).toString('hex');
+}
+
+/**
+ * 校验签名
+ * @param {crypto.KeyObject} publicKey 公钥
+ * @param {string} signature 十六进制签名 (X-Signature-Ed25519)
+ * @param {string} timestamp 时间戳 (X-Signature-Timestamp)
+ * @param {Buffer} body 原始请求体
+ * @returns {boolean} 签名是否有效
+ */
+function verify(publicKey, signature, timestamp, body) {
+  if (!signature || !timestamp) return false;
+
+  const sig = Buffer.from(signature, 'hex');
+  if (sig.length !== 64 || (sig[63] & 224) !== 0) return false;
+
+  try {
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), body]), publicKey, sig);
+  } catch {
+    return false;
+  }
+}
+
+// === HTTP 回调接入 ===
+// 与 ShardManager 提供相同的接口 (connect/close/reconnect 与 dispatch 事件)
+class WebhookServer extends EventEmitter {
+  /**
+   * @param {Object} options 服务配置
+   * @param {string} options.secret 机器人 AppSecret
+   * @param {number} [options.port] 监听端口，默认 8080，0 为随机端口
+   * @param {string} [options.host] 监听地址
+   * @param {string} [options.path] 回调路径，默认 '/'
+   * @param {Object} [options.logger] 日志工具
+   */
+  constructor(options) {
+    super();
+    this.port = options.port ?? 8080;
+    this.host = options.host;
+    this.path = options.path || '/';
+    this.logger = options.logger || defaultLogger;
+    this.keys = deriveKeyPair(options.secret);
+    this.server = null;
+  }
+
+  connect() {
+    if (this.server) return Promise.resolve();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('error', (err) => this.logger.error('WEBHOOK', `服务错误: ${err.message}`));
+
+    return new Promise((resolve, reject) => {
+      const onListenError = (err) => {
+        this.server = null;
+        reject(err);
+      };
+
+      this.server.once('error', onListenError);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', onListenError);
+        this.port = this.server.address().port;
+        this.logger.info('WEBHOOK', `回调服务已启动: ${this.host || '0.0.0.0'}:${this.port}${this.path}`);
+        resolve();
+      });
+    });
+  }
+
+  // HTTP 回调无长连接，无需重连
+  reconnect() {}
+
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.logger.info('WEBHOOK', '回调服务已关闭');
+    }
+  }
+
+  async handleRequest(req, res) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (req.method !== 'POST' || pathname !== this.path) {
+      return sendJson(res, 404, { error: 'not found' });
+    }
+
+    let body, packet;
+    try {
+      body = await readBody(req, MAX_BODY_SIZE);
+      packet = JSON.parse(body.toString());
+    } catch (err) {
+      this.logger.warn('WEBHOOK', `无效的回调请求: ${err.message}`);
+      return sendJson(res, 400, { error: 'bad request' });
+    }
+
+    // 所有请求（包括回调地址验证）都须带有效签名，否则验证接口可被用来为任意内容签名
+    const signature = req.headers['x-signature-ed25519'];
+    const timestamp = req.headers['x-signature-timestamp'];
+    if (!verify(this.keys.publicKey, signature, timestamp, body)) {
+      this.logger.warn('WEBHOOK', `${packet.op === OP.CALLBACK_VALIDATION ? '回调地址验证请求' : '事件'}签名校验失败，已忽略`);
+      return sendJson(res, 401, { error: 'invalid signature' });
+    }
+
+    // 回调地址验证
+    if (packet.op === OP.CALLBACK_VALIDATION) {
+      const { plain_token, event_ts } = packet.d || {};
+      this.logger.info('WEBHOOK', '响应回调地址验证');
+      return sendJson(res, 200, {
+        plain_token,
+        signature: sign(this.keys.privateKey, `${event_ts}${plain_token}`)
+      });
+    }
+
+    // 先确认收到，再分发事件
+    sendJson(res, 200, { op: OP.CALLBACK_ACK, d: 0 });
+
+    if (packet.op === OP.DISPATCH) {
+      this.logger.debug('WEBHOOK', `收到事件: ${packet.t}`);
+      this.emit('dispatch', packet);
+    }
+  }
+}
+
+module.exports = {
+  OP,
+  deriveKeyPair,
+  sign,
+  verify,
+  WebhookServer
+};